@@ -8,17 +8,58 @@ import {
     create
 } from 'virtual-dom'
 
-window.k = {
-    h,
-    diff,
-    patch,
-    create
-}
+if (typeof window !== "undefined")
+    window.k = {
+        h,
+        diff,
+        patch,
+        create
+    }
 
 import {
-    assert,
-    EventBus
+    assert
 } from './helpers'
+import {
+    AUTOMATA_EVENTS,
+    APP_EVENTS,
+    createEventBus
+} from './events'
+import {
+    delayedActions,
+    normalizeIntervals,
+    normalizeServices,
+    normalizeAction,
+    normalizeRetry,
+    normalizeDefinition,
+    flattenStates,
+    resolveTarget,
+    validateDefinition
+} from './definition'
+import {
+    systemClock
+} from './clock'
+import {
+    SNAPSHOT_VERSION,
+    migrate
+} from './persistence'
+import {
+    virtualize
+} from './html'
+import {
+    compose,
+    createPlugins
+} from './middleware'
+import {
+    validateSchema,
+    fieldErrors
+} from './schema'
+import {
+    changeRecords,
+    normalizePath,
+    affects,
+    valueAt,
+    createTracker
+} from './reactivity'
 
 console.clear()
 
@@ -29,7 +70,86 @@ let Appomata = (() => {
     let allTomata = {}
     let connectedApps = {}
     let names = new Set()
-    let eventBus = EventBus()
+    let allViews = {}
+    let eventBus = createEventBus()
+    // Functions that stop the Appomata listeners of every automata by id
+    let unlisteners = {}
+    let spawnCounter = 0
+    let omegaTag = Symbol("omega")
+    // Middleware of every automata, see middleware.js
+    let middlewares = []
+    let plugins
+
+    /**
+     * Create the delta of a message, it carries the id of the automata that sent it
+     * @param {String} action Action name
+     * @param {Object} input Action input
+     * @param {String} sender Sender automata id
+     */
+    let message = (action, input = {}, sender) => {
+        let delta = Appomata.createDelta(action, input)
+        delta.sender = sender
+        return delta
+    }
+
+    /**
+     * Register an automata instance under its unique id, so apps and views are able
+     * to address it, and forward its transitions to the connected apps
+     * @param {Automata} automata Automata instance
+     */
+    let register = (automata) => {
+        assert(!allTomata[automata.id], `Given id (${automata.id}) already assigned to another automata`)
+        allTomata[automata.id] = automata
+        connectedApps[automata.id] = new Set()
+        // A destroyed automata may still finish its running transition, it has no apps anymore
+        let appsOf = () => allTomata[automata.id] === automata ? connectedApps[automata.id] : []
+        /**
+         * Register to "afterTransition" to call all App.onTransition callback that eventually 
+         * forces all apps to render the new state into the states engaged views
+         */
+        automata.on("afterTransition", (transitionEvent) => {
+            appsOf().forEach(app => {
+                if (app.onTransition)
+                    app.onTransition(transitionEvent)
+            })
+        })
+        // Render the restored states of the automata without a transition
+        automata.on("restored", (transitionEvent) => {
+            appsOf().forEach(app => {
+                if (app.onTransition && app.rootNode)
+                    app.onTransition(transitionEvent)
+            })
+        })
+        // Let apps render the busy status of the automata
+        automata.on("statusChanged", (statusEvent) => {
+            appsOf().forEach(app => {
+                if (app.onStatus)
+                    app.onStatus(statusEvent)
+            })
+        })
+        // Deliver broadcast deltas that the current states handle, the sender doesn't receive its own broadcast
+        unlisteners[automata.id] = eventBus.on("broadcast", ({
+            action,
+            input,
+            sender
+        }) => {
+            if (allTomata[automata.id] === automata && automata.id !== sender && automata._handlers(action).length) {
+                let delta = message(action, input, sender)
+                automata._background(automata.transit(delta), delta)
+            }
+        })
+        // Let apps render context changes made outside of transitions
+        automata.on("stateChanged", (changeEvent) => {
+            appsOf().forEach(app => {
+                if (app.onContextChange)
+                    app.onContextChange(changeEvent)
+            })
+        })
+        eventBus.emit("registered", {
+            id: automata.id
+        })
+        return automata
+    }
 
     return new(class {
         constructor() {}
@@ -37,19 +157,29 @@ let Appomata = (() => {
         /**
          * Create a shared rendered that renders the state of one or more automatas based on their current states. This the f(state) = view
          * Due to stateless property of view, then a view may be used for different machine as well as different states
+         * A view is rendered again only when its inputs change, the last vnode of every automata is reused otherwise.
          * @param {String} name View string name that should be unique
-         * @param {Function} render function (automata, delta, omega) renders state to view
+         * @param {Function} render function (automata, delta, omega, status, transit, context, computed) renders state to view, status is the automata {busy, pending},
+         * context and computed are the live context and computed values of the automata, reading them through these makes the view depend on the read paths only
          * @param {String} automata The automata string name uses this view
+         * @param {Array} reads Context paths (like "cart.items") the view depends on, by default the context paths,
+         * delta, omega (with the buffer) and status read by its last render are its inputs
+         * @param {Function|Boolean} memo Function of the render data that returns the memo key, false to render every time
+         * @param {Function} fallback Renders the view when its render throws, it receives the render data plus the error
          */
         createView({
             name,
             render,
-            automata
+            automata,
+            reads,
+            memo = true,
+            fallback
         }) {
             assert(!names.has(name), "Given name already assigned to another view")
             assert(render !== undefined, "No render function is passed")
             let _render = render
-            return new(class View {
+            names.add(name)
+            return allViews[name] = new(class View {
                 constructor() {
 
                     this.name = name
@@ -57,22 +187,135 @@ let Appomata = (() => {
                     this.automatas = new Set()
                     if (automata)
                         this.automata = automata
+                    this.reads = reads
+                    this.fallback = fallback
                     this.cachedNodes;
+                    // Last {key, vnode} per automata instance
+                    this.memos = {}
                 }
                 render({
                     automata,
                     delta,
-                    omega
+                    omega,
+                    slots
                 }) {
-                    this.cachedNodes = _render({
+                    let address = this._addressOf(automata)
+                    let instance = allTomata[automata]
+                    // Reads of the context, computed values, delta, omega and status are recorded, the view is rendered again when they change
+                    let tracker = createTracker(instance ? instance.context : {})
+                    let computedReads = []
+                    let used = {}
+                    let track = (input, value) => value && typeof value === "object" ? new Proxy(value, {
+                        get: (target, key) => {
+                            used[input] = true
+                            return target[key]
+                        }
+                    }) : value
+                    let data = {
                         automata,
+                        delta: track("delta", delta),
+                        omega: track("omega", omega),
+                        slots,
+                        context: tracker.proxy,
+                        computed: new Proxy(instance ? instance.computed : {}, {
+                            get: (computed, key) => {
+                                let value = computed[key]
+                                if (instance && instance.computations[key])
+                                    computedReads.push(...instance.computations[key].reads)
+                                return value
+                            }
+                        }),
+                        status: track("status", instance ? instance.status : {}),
+                        transit: (params = {}) => this.transit({
+                            ...params,
+                            automata: params.automata || address
+                        }),
+                        cachedNodes: this.memos[automata] && this.memos[automata].vnode
+                    }
+                    // Slots are vnodes made on every render, so layouts are never memoized
+                    let key = memo && !slots ? this._memoKey(data) : undefined
+                    if (key !== undefined && this.memos[automata] && this.memos[automata].key === key)
+                        return this.cachedNodes = this.memos[automata].vnode
+                    used = {}
+                    this.cachedNodes = _render(data)
+                    let reads = tracker.reads().concat(computedReads)
+                    let inputs = {
+                        ...used
+                    }
+                    this.memos[automata] = {
+                        // The key is made with the reads of this render, so the next render compares the same inputs
+                        key: key !== undefined && typeof memo !== "function" ?
+                            this._memoKey(data, reads.length && !this.reads ? reads : undefined, inputs) : key,
+                        vnode: this.cachedNodes,
+                        reads,
+                        used: inputs
+                    }
+                    return this.cachedNodes;
+                }
+                /**
+                 * Key of the view inputs, the state, the status and the read context slices. The context paths
+                 * are the declared reads, or the paths read by the last render through the given context. When
+                 * the view reads nothing through it, all of the context is an input. The delta, and the output and
+                 * buffer of the omega, are inputs when the last render read them and the view doesn't declare its
+                 * reads. The status is an input only when the last render read it
+                 * @param {Object} data Render data
+                 * @param {Array} reads Context paths read by the render
+                 * @param {Object} used Render data read by the render {delta, omega, status}, all of them by default
+                 */
+                _memoKey(data, reads, used) {
+                    if (typeof memo === "function")
+                        return memo(data)
+                    let instance = allTomata[data.automata]
+                    let context = instance ? instance.context : {}
+                    let last = this.memos[data.automata]
+                    let {
                         delta,
-                        omega,
-                        transit: this.transit.bind(this),
-                        cachedNodes: this.cachedNodes
+                        omega
+                    } = data
+                    reads = this.reads || reads || (last && last.reads && last.reads.length ? last.reads : null)
+                    used = used || (last ? last.used : {
+                        delta: true,
+                        omega: true,
+                        status: true
                     })
-                    return this.cachedNodes;
+                    let {
+                        context: c,
+                        buffer: b,
+                        ...output
+                    } = omega.output || {}
+                    let slices = reads ? reads.map(path => valueAt(context, normalizePath(path))) : context
+                    let inputs = this.reads ? slices : [
+                        slices,
+                        used.omega ? [instance ? instance.buffer : {}, output] : null,
+                        used.delta && delta ? [delta.action, delta.input] : null
+                    ]
+                    try {
+                        return JSON.stringify([omega.next, omega.status, used.status && instance ? instance.status : null, reads, inputs])
+                    } catch (e) {
+                        // Inputs that can't be serialized are never equal
+                        return undefined
+                    }
+                }
+                /**
+                 * Find the automata id that a transit call from this view should be sent to when
+                 * the caller doesn't name one. If the rendering instance uses this view, the call 
+                 * goes back to that very instance, so spawned automatas don't steal each other actions
+                 * @param {String} id Id of the automata instance that renders this view
+                 */
+                _addressOf(id) {
+                    let instance = allTomata[id]
+                    if (instance && (this.automata === instance.name || this.automatas.has(instance.name)))
+                        return instance.id
+                    return this.automata || ""
                 }
+                /**
+                 * Send the action to the given automata, or to every automata when no one is given.
+                 * Returns a promise of the transition omega (or list of omegas when more than one automata
+                 * accepted the action). If no active state defines the action or its guards reject it,
+                 * omega.status is "rejected" and omega.output.reason is "noAction" or "guard", when no automata
+                 * is given and none of them defines the action omega.next is null. The promise is rejected
+                 * when the given automata doesn't exist
+                 */
                 transit({
                     input,
                     action,
@@ -81,22 +324,31 @@ let Appomata = (() => {
                 }) {
                     automata = automata || this.automata
 
-                    let transited = false
-                    let targetAutomata = automata ? [allTomata[automata]] : Object.values(allTomata)
-
-                    targetAutomata.forEach(a => {
-                        if (a) {
-                            transited = a.tryTransit({
-                                name,
-                                input,
-                                action,
-                                automata
-                            })
-                        }
+                    if (automata) {
+                        if (!allTomata[automata])
+                            return Promise.reject(`given automata (${automata}) doesn't exists`)
+                        return allTomata[automata].transit(Appomata.createDelta(action, input))
+                    }
+                    let transitions = []
+                    Object.values(allTomata).forEach(a => {
+                        let transition = a.tryTransit({
+                            name,
+                            input,
+                            action,
+                            automata
+                        })
+                        if (transition)
+                            transitions.push(transition)
                     })
-                    if (!transited) {
-                        throw `for given automata (${automata}), action (${action}) there is no any defined transition`
+                    if (!transitions.length) {
+                        let rejected = Appomata.createOmega(null, {
+                            reason: "noAction",
+                            action
+                        })
+                        rejected.status = "rejected"
+                        return Promise.resolve(rejected)
                     }
+                    return Promise.all(transitions).then(omegas => omegas.length === 1 ? omegas[0] : omegas)
                 }
             })
         }
@@ -105,17 +357,46 @@ let Appomata = (() => {
          * Return a new instance of State class with the given configuration.
          * At the moment this creatState doesn't do that much, just create 
          * instance and return it back.
-         * @param { Object } configuration State configuration contains three values of {name as state name, local as state local data, actions as state actions for transition 
+         * @param { Object } configuration State configuration contains {name as state name, local as state local data, actions as state actions for transition, final as end of automata flag,
+         * states as list of child states, initial as name of the initial child, parallel as flag of orthogonal regions, onEntry and onExit as hooks,
+         * history as "shallow" or "deep" for history pseudo-states and target as their default target,
+         * after as delayed transitions {delay: action}, every as intervals {interval: action name}, onError as the state
+         * failing actions of this state and its substates go to and invoke as the services started while the state is active}
+         * Every action is either an async function returns omega or {target|targets, run} to declare where the action goes
          */
         createState({
             name,
             local = {},
-            actions = {}
+            actions = {},
+            final = false,
+            states = [],
+            initial,
+            parallel = false,
+            onEntry,
+            onExit,
+            history,
+            target,
+            after,
+            every,
+            onError,
+            invoke
         }) {
             let state = new State({
                 name,
                 local,
-                actions
+                actions,
+                final,
+                states,
+                initial,
+                parallel,
+                onEntry,
+                onExit,
+                history,
+                target,
+                after,
+                every,
+                onError,
+                invoke
             })
             return state
         }
@@ -126,53 +407,45 @@ let Appomata = (() => {
          * - state: [] List of states for this automata (optional)
          * - context: {} The main shared context that will be observable, changes trigger app(s) to render themselves
          * - buffer: {} Local context that will be shared only within state in this automata
+         * - clock: {} Clock that schedules delayed transitions and intervals (optional), see clock.js
+         * - computed: {} Values derived from the context {name: (context, automata) => value}, see Automata.defineComputed
          */
         createAutomata({
             name,
             states = [],
             context = {},
-            buffer = {}
+            buffer = {},
+            clock,
+            computed
         }) {
-            let automata = new Automata({
+            let automata = register(new Automata({
                 name,
                 states,
                 context,
-                buffer
-            })
-            allTomata[name] = automata
-            connectedApps[name] = new Set()
-            /**
-             * Register to "afterTransition" to call all App.onTransition callback that eventually 
-             * forces all apps to render the new state into the states engaged views
-             */
-            automata.on("afterTransition", (transitionEvent) => {
-                connectedApps[name].forEach(app => {
-                    if (app.onTransition)
-                        app.onTransition(transitionEvent)
-                })
-            })
+                buffer,
+                clock,
+                computed
+            }))
 
-            // Add failed state in the automata
+            // Add failed state in the automata, failing actions without an onError target end up here
             automata.addState(new State({
                 name: "failed",
                 actions: {
+                    // Describe the failure without leaving the failed state
                     failed: async (delta) => {
                         let {
-                            input,
+                            input = {},
                             buffer,
                         } = delta;
                         buffer.failedOutput = {
+                            ...buffer.failedOutput,
                             message: input.message,
                             from: input.from
                         }
-                        return omega("failed", buffer.failedOutput)
                     },
-                    back: async (delta) => {
-                        let {
-                            buffer,
-                        } = delta;
-                        return omega(buffer.failedOutput.from, {})
-
+                    // Go back to the states that were active before failing, and their buffer
+                    back: {
+                        target: "$history"
                     }
                 }
             }))
@@ -180,13 +453,263 @@ let Appomata = (() => {
 
             return automata
         }
+        /**
+         * Spawn a new live instance of an already created automata. The instance owns a copy
+         * of the automata states, its own context, buffer and events, and it starts from the
+         * same initial state. Use it when one definition drives many independent machines,
+         * like one "upload" automata per file row.
+         * @param {String} name Name of the automata created by createAutomata
+         * @param {Object} configuration Instance configuration contains:
+         * - id: Unique id of the instance (optional), by default it's "name#counter"
+         * - context: {} Initial context of the instance (optional), by default a copy of the automata initial context
+         * - buffer: {} Initial buffer of the instance (optional)
+         */
+        spawnAutomata(name, {
+            id,
+            context,
+            buffer
+        } = {}) {
+            let template = allTomata[name]
+            assert(template, `There is no automata named ${name} to spawn from`)
+            return register(template.spawn({
+                id: id || `${name}#${++spawnCounter}`,
+                context,
+                buffer
+            }))
+        }
+        /**
+         * Return the automata instance registered with the given id
+         * @param {String} id Automata id, for non spawned automatas it's the same as name
+         */
+        getAutomata(id) {
+            return allTomata[id]
+        }
+        /**
+         * Return all registered automata instances in the order they were registered
+         */
+        getAutomatas() {
+            return Object.values(allTomata)
+        }
+        /**
+         * Return the view created with the given name
+         * @param {String} name View name
+         */
+        getView(name) {
+            return allViews[name]
+        }
+        /**
+         * Remove an automata instance from Appomata, after that nor apps neither views can reach it
+         * @param {String} id Automata id
+         */
+        destroyAutomata(id) {
+            let automata = allTomata[id]
+            if (automata) {
+                // Children are stopped with their parent
+                Object.keys(automata.children).forEach(child => this.destroyAutomata(child))
+                if (allTomata[automata.parent])
+                    delete allTomata[automata.parent].children[id]
+                // Timers and services of the active states would keep sending deltas to it
+                automata.active.forEach(s => automata._unschedule(s))
+                unlisteners[id]()
+                delete unlisteners[id]
+                connectedApps[id].forEach(app => {
+                    if (app.ugly)
+                        delete app.ugly.automata[id]
+                })
+                delete allTomata[id]
+                delete connectedApps[id]
+                eventBus.emit("destroyed", {
+                    id
+                })
+            }
+        }
+        /**
+         * Send a delta to the automata with the given id, deltas sent to the same automata are processed one
+         * at a time in the order they're sent. Returns the promise of the transition omega
+         * @param {String} to Automata id
+         * @param {String} action Action name
+         * @param {Object} input Action input
+         * @param {String} sender Id of the sending automata (optional), it's given to the receiver as delta.sender
+         */
+        send(to, action, input = {}, sender) {
+            let automata = allTomata[to]
+            assert(automata, `There is no automata (${to}) to send ${action} to`)
+            eventBus.emit("message", {
+                sender,
+                to,
+                action,
+                input
+            })
+            return automata.transit(message(action, input, sender))
+        }
+        /**
+         * Send a delta to every registered automata whose current states handle the action, in the order the
+         * automatas were registered. The others ignore it instead of rejecting it
+         * @param {String} action Action name
+         * @param {Object} input Action input
+         * @param {String} sender Id of the sending automata (optional), it doesn't receive its own broadcast
+         */
+        broadcast(action, input = {}, sender) {
+            eventBus.emit("broadcast", {
+                action,
+                input,
+                sender
+            })
+        }
+        /**
+         * Add a middleware that wraps the transitions of every automata, see middleware.js
+         * Returns the function that removes it
+         * @param {Function} middleware Middleware ({automata, delta}, next) => omega
+         */
+        use(middleware) {
+            assert(typeof middleware === "function", "Middleware must be a function")
+            middlewares.push(middleware)
+            return () => middlewares = middlewares.filter(m => m !== middleware)
+        }
+        /**
+         * Middleware used on Appomata in order
+         */
+        get middlewares() {
+            return middlewares.slice()
+        }
+        /**
+         * Install a plugin on Appomata, see middleware.js
+         * @param {Object} plugin Plugin {name, install, uninstall}
+         * @param {Object} options Options given to the plugin install
+         */
+        install(plugin, options) {
+            plugins = plugins || createPlugins(this)
+            return plugins.install(plugin, options)
+        }
+        /**
+         * Uninstall the plugin with the given name, returns false if it's not installed
+         * @param {String} name Plugin name
+         */
+        uninstall(name) {
+            return !!plugins && plugins.uninstall(name)
+        }
+        /**
+         * Listen to the Appomata events: "message" and "broadcast" {sender, to, action, input}, "registered"
+         * and "destroyed" {id} of automatas, see events.js
+         * Returns the function that removes the listener
+         * @param {String} event Event name
+         * @param {Function} f Listener
+         */
+        on(event, f) {
+            return eventBus.on(event, f)
+        }
+        once(event, f) {
+            return eventBus.once(event, f)
+        }
+        off(event, f) {
+            eventBus.off(event, f)
+        }
+        /**
+         * Statically validate an automata definition, see definition.js for the format
+         * Returns {valid, errors, warnings}, every issue is {type, message, state, action, target}
+         * @param {Object} definition Automata definition
+         */
+        validate(definition) {
+            return validateDefinition(definition)
+        }
+        /**
+         * Create an automata from a declarative definition (see definition.js), add its views
+         * and set its initial state. The definition is validated first and loading
+         * fails if there is any error.
+         * @param {Object} definition Automata definition
+         * @param {Object} registries Contains:
+         * - handlers: {} Action functions referenced by name in the definition
+         * - guards: {} Guard functions referenced by name in the definition
+         * - views: {} View instances referenced by name, by default views created by createView are used
+         * - clock: {} Clock of delayed transitions and intervals (optional)
+         */
+        load(definition, {
+            handlers = {},
+            guards = {},
+            views = {},
+            clock
+        } = {}) {
+            let {
+                valid,
+                errors
+            } = validateDefinition(definition)
+            assert(valid, `Given definition is not valid: ${errors.map(e => e.message).join(", ")}`)
+
+            let {
+                name,
+                initial,
+                context,
+                buffer,
+                states
+            } = normalizeDefinition(definition)
+            let resolve = (registry, kind) => (f) => {
+                if (typeof f !== "string")
+                    return f
+                assert(registry[f], `There is no ${kind} named ${f}`)
+                return registry[f]
+            }
+            let resolveHandler = resolve(handlers, "handler")
+            let resolveGuard = resolve(guards, "guard")
+            let resolveView = (view) => {
+                if (typeof view !== "string")
+                    return view
+                assert(views[view] || allViews[view], `There is no view named ${view}`)
+                return views[view] || allViews[view]
+            }
+
+            let build = (state) => new State({
+                name: state.name,
+                local: state.local,
+                final: state.final,
+                initial: state.initial,
+                parallel: state.parallel,
+                history: state.history,
+                target: state.target,
+                every: state.every,
+                invoke: state.invoke.map(service => ({
+                    ...service,
+                    src: resolveHandler(service.src)
+                })),
+                onError: state.onError,
+                onEntry: resolveHandler(state.onEntry),
+                onExit: resolveHandler(state.onExit),
+                states: state.states.map(build),
+                actions: state.actions.reduce((actions, action) => {
+                    actions[action.name] = {
+                        ...action,
+                        transitions: action.transitions.map(t => ({
+                            ...t,
+                            guard: resolveGuard(t.guard),
+                            run: resolveHandler(t.run)
+                        }))
+                    }
+                    return actions
+                }, {})
+            })
+
+            let computed = {}
+            Object.entries(definition.computed || {}).forEach(([key, f]) => computed[key] = resolveHandler(f))
+            let automata = this.createAutomata({
+                name,
+                context,
+                buffer,
+                clock,
+                computed,
+                states: states.map(build)
+            })
+            flattenStates(states).forEach(state => state.views.forEach(v => automata.addView(resolveView(v), state.id)))
+            normalizeDefinition(definition).views.forEach(v => automata.addView(resolveView(v)))
+            automata.definition = definition
+            automata.init(initial)
+            return automata
+        }
         /**
          * Connect an app to the given list of automatas. Whenever a transition
          * happens then the connected app will be notified vis app.onAutomataTransition if exists
          * @param {Object} configuration 
          * {
          *      app: App instance
-         *      automatas: List of string names of registered Automatas in this Appomata
+         *      automatas: List of string ids of registered Automatas in this Appomata, for spawned instances it's the instance id
          * }  
          */
         connect({
@@ -210,7 +733,7 @@ let Appomata = (() => {
          * @param {Object} input Object contains the input data for delta transition
          * @param {String} from String name of source state that transition is incident from
          */
-        createDelta(action, input, from = "") {
+        createDelta(action, input = {}, from = "") {
             return {
                 action,
                 input,
@@ -224,12 +747,23 @@ let Appomata = (() => {
          * @param {Object} context Omega may contains the context which is not gonna be shared with component (internal usage)
          */
         createOmega(next, output, views = [], context = {}) {
-            return {
+            let omega = {
                 next,
                 output,
                 views,
                 context
             }
+            Object.defineProperty(omega, omegaTag, {
+                value: true
+            })
+            return omega
+        }
+        /**
+         * Check whether or not the given value is an omega created by createOmega
+         * @param {Any} value 
+         */
+        isOmega(value) {
+            return !!(value && value[omegaTag])
         }
     })()
 })();
@@ -238,8 +772,21 @@ let Appomata = (() => {
  * Class represent the Finite-State-Automata 
  */
 let Automata = (() => {
-    let states = {}
-    let automataEventBus = EventBus()
+    /**
+     * Create an AbortController, or a minimal one with the same shape where it's not available
+     */
+    let createAbortController = () => {
+        if (typeof AbortController !== "undefined")
+            return new AbortController()
+        let signal = {
+            aborted: false
+        }
+        return {
+            signal,
+            abort: () => signal.aborted = true
+        }
+    }
+
     class Automata {
         /**
          * Create a FSA that we call is Automata contains sequence of states and control transition between all these states.
@@ -247,70 +794,307 @@ let Automata = (() => {
          * to onTransitionListeners.
          * @param {Object} configuration Automata configuration object contains  
          * - name: String Automata name
+         * - id: String Unique id of this instance, it's the same as name unless the automata is spawned
          * - states: List Contains list of all state from State class
          * - context: Object The main shared context that will be observed
          * - buffer: Object Local context will be shared only within the internal states transition
+         * - clock: Object Clock that schedules delayed transitions and intervals, real timers by default
          */
         constructor({
             name,
+            id = name,
             states = [],
             context = {},
-            buffer = {}
+            buffer = {},
+            clock = systemClock,
+            computed = {}
         }) {
             this.name = name;
+            this.id = id;
+            this.clock = clock
+            // Deltas waiting to be processed, the one being processed and callers waiting for the queue to be empty
+            this.queue = []
+            this.running = null
+            this.settlers = []
+            // Cancel functions of the timers of active states by state id
+            this.timers = {}
+            // Id of the automata that spawned this one and the spawned children by id
+            this.parent = null
+            this.children = {}
+            // Middleware of this instance and its plugins, see middleware.js
+            this.middlewares = []
+            this.plugins = createPlugins(this)
+            this.states = {}
+            this.eventBus = createEventBus({
+                aliases: AUTOMATA_EVENTS
+            })
+            this.initialContext = JSON.parse(JSON.stringify(context))
+            this.initialBuffer = {
+                ...buffer
+            }
             this.buffer = buffer
             this.context = context
+            // Path subscriptions {path, f} and computed values {name: {f, value, reads, valid}}
+            this.watchers = []
+            this.computations = {}
+            this.computed = {}
+            Object.entries(computed).forEach(([key, f]) => this.defineComputed(key, f))
             this._beObservable()
-            states.forEach(this.addState)
-            this.now = null;
+            states.forEach(s => this.addState(s))
+            // All the active states in document order, parents before children
+            this.active = [];
+            // Last active substates of the exited compound states by state id, "" is the whole automata
+            this.history = {}
+            // Pseudo-state that restores the automata configuration before the last top-level transition
+            this.rootHistory = new State({
+                name: "$history",
+                history: "deep"
+            })
 
-            this.on = automataEventBus.on;
-            this.off = automataEventBus.on;
+            this.on = this.eventBus.on;
+            this.once = this.eventBus.once;
+            this.off = this.eventBus.off;
+
+        }
 
+        /**
+         * Create a new instance of this automata with a copy of all its states, starting from the same
+         * initial state. The new instance doesn't share context, buffer or events with this one.
+         * @param {Object} configuration Instance configuration contains:
+         * - id: String Unique id of the new instance
+         * - context: Object Initial context, by default a copy of this automata initial context
+         * - buffer: Object Initial buffer, by default a copy of this automata initial buffer
+         * - clock: Clock of the new instance, by default this automata clock
+         */
+        spawn({
+            id,
+            context = JSON.parse(JSON.stringify(this.initialContext)),
+            buffer = {
+                ...this.initialBuffer
+            },
+            clock = this.clock
+        }) {
+            let instance = new Automata({
+                name: this.name,
+                id,
+                states: Object.values(this.states).filter(s => !s.parent).map(s => s.clone()),
+                context,
+                buffer,
+                clock,
+                computed: Object.entries(this.computations).reduce((computed, [key, c]) => {
+                    computed[key] = c.f
+                    return computed
+                }, {})
+            })
+            if (this.initialState)
+                instance.init(this.initialState)
+            return instance
         }
 
+        /**
+         * Make the context observable, every change is described by change records {path, type, value, oldValue}
+         * and given to the path subscriptions, computed values and "stateChanged" listeners
+         */
         _beObservable() {
             this.context = Observable.from(this.context)
-            this.context.observe(changes => {
-                automataEventBus.emit("stateChanged", {
-                    automata: this.name,
-                    //context: JSON.parse(JSON.stringify(this.context)),
-
-                    // TODO 
-                    // changes: changes.map(c => ({
-                    //     path: c.path,
-                    //     value: JSON.parse(JSON.stringify(c.value || {})),
-                    //     object: JSON.parse(JSON.stringify(c.object || {}))
-                    // }))
+            this.context.observe(changes => this._contextChanged(changeRecords(changes)))
+        }
 
-                })
+        /**
+         * Tell the readers of the changed paths about the change records
+         * @param {Array} records Change records
+         */
+        _contextChanged(records) {
+            Object.entries(this.computations).forEach(([key, computation]) => {
+                if (!computation.valid || !affects(records, computation.reads))
+                    return
+                let old = JSON.stringify(computation.value)
+                computation.valid = false
+                // Watched computed values are computed again right away to tell if they changed
+                let watchers = this.watchers.filter(w => w.path === `computed.${key}`)
+                if (watchers.length && JSON.stringify(this.computed[key]) !== old)
+                    watchers.forEach(w => w.f({
+                        automata: this.id,
+                        path: w.path,
+                        changes: records,
+                        value: this.computed[key]
+                    }))
+            })
+            this.watchers.filter(w => w.path.indexOf("computed.") !== 0).forEach(w => {
+                let changes = records.filter(r => affects([r], [w.path]))
+                if (changes.length)
+                    w.f({
+                        automata: this.id,
+                        path: w.path,
+                        changes,
+                        value: valueAt(this.context, w.path)
+                    })
+            })
+            this.eventBus.emit("stateChanged", {
+                automata: this.id,
+                busy: !!this.running,
+                changes: records
+            })
+        }
+
+        /**
+         * Subscribe to the changes of the given context path (like "context.cart.items" or "cart.items"),
+         * "*" is the whole context and "computed.name" is a computed value. The subscriber receives
+         * {automata, path, changes, value}. Returns a function that cancels the subscription
+         * @param {String} path Context path
+         * @param {Function} f Subscriber
+         */
+        watch(path, f) {
+            let watcher = {
+                path: normalizePath(path),
+                f
+            }
+            this.watchers.push(watcher)
+            return () => this.watchers = this.watchers.filter(w => w !== watcher)
+        }
+
+        /**
+         * Define a value derived from the context, it's available as automata.computed[name]. The value is
+         * cached and computed again only after a change of the context paths it read
+         * @param {String} name Computed value name
+         * @param {Function} f (context, automata) => value
+         */
+        defineComputed(name, f) {
+            let computation = this.computations[name] = {
+                f,
+                valid: false,
+                reads: []
+            }
+            Object.defineProperty(this.computed, name, {
+                enumerable: true,
+                configurable: true,
+                get: () => {
+                    if (!computation.valid) {
+                        let tracker = createTracker(this.context)
+                        computation.value = f(tracker.proxy, this)
+                        computation.reads = tracker.reads()
+                        computation.valid = true
+                    }
+                    return computation.value
+                }
             })
         }
 
         /**
-         * Set the initial state and set current state of Automata to it
+         * Set the initial state and set current state of Automata to it. If the initial state is a compound
+         * state, the automata goes down to its initial child. Returns the promise of the entry hooks, an entry
+         * hook that fails is told to the "failedTransition" listeners and the promise still resolves.
          * @param {String} initState Initial state name
          */
         init(initState) {
-            if (states[initState]) {
-                this.initialState = initState;
-                this.now = states[initState]
-            } else
+            let state = this.states[initState]
+            if (!state)
                 throw "given state doesn't exists"
+            this.initialState = initState;
+            this.active = this._entrySet([state], null)
+            let delta = Appomata.createDelta("init", {})
+            return this._runHooks(this.active, "onEntry", delta).catch(e => {
+                this._error(e, delta, state)
+            })
+        }
+
+        /**
+         * The current state, when the automata has parallel regions it's the first active atomic state
+         */
+        get now() {
+            return this.leaves[0] || null
+        }
+
+        /**
+         * Active atomic states, one per active parallel region
+         */
+        get leaves() {
+            return this.active.filter(s => !s.isCompound)
+        }
+
+        /**
+         * Capture the automata as a versioned JSON object: active states, context, buffer and history.
+         * See persistence.js for the format
+         */
+        snapshot() {
+            return JSON.parse(JSON.stringify({
+                version: SNAPSHOT_VERSION,
+                automata: this.name,
+                id: this.id,
+                initialState: this.initialState,
+                active: this.active.map(s => s.id),
+                context: this.context,
+                buffer: this.buffer,
+                history: this.history,
+                time: this.clock.now()
+            }))
+        }
+
+        /**
+         * Bring the automata back to the given snapshot without running init nor entry hooks. The context
+         * becomes observable again, timers of the active states start over and connected apps render the
+         * restored states through the "restored" event.
+         * @param {Object} snapshot Snapshot made by snapshot(), it may be an older version
+         * @param {Object} options Contains migrations, see migrate in persistence.js
+         */
+        restore(snapshot, {
+            migrations = {}
+        } = {}) {
+            snapshot = migrate(snapshot, migrations)
+            let active = snapshot.active.map(id => {
+                if (!this.states[id])
+                    throw `given state (${id}) of snapshot doesn't exists`
+                return this.states[id]
+            })
+
+            this.active.forEach(s => this._unschedule(s))
+            this.initialState = this.initialState || snapshot.initialState
+            this.active = this._ordered(active)
+            this.context = snapshot.context
+            this._beObservable()
+            this._contextChanged([{
+                path: "",
+                type: "update",
+                value: JSON.parse(JSON.stringify(snapshot.context))
+            }])
+            this.buffer = snapshot.buffer
+            this.history = snapshot.history || {}
+            this.active.forEach(s => this._schedule(s))
+            this.restored = true
+
+            this.eventBus.emit("restored", this.current())
+            return this
+        }
+
+        /**
+         * Return a transition event {automata, delta, omega} that describes the current states, so apps
+         * are able to render the automata without a transition, like after restoring it
+         * @param {String} action Action name of the delta, "restore" by default
+         */
+        current(action = "restore") {
+            let omega = Appomata.createOmega(this.now && this.now.id, {
+                context: JSON.parse(JSON.stringify(this.context)),
+                buffer: this.buffer
+            }, this._views())
+            omega.status = "done"
+            return {
+                automata: this.id,
+                delta: Appomata.createDelta(action, {}, this.now && this.now.id),
+                omega
+            }
         }
 
         /**
          * Trey to see whether or not the given pair of (input, action) matches to the current state
-         * and if yes then transit and returns true. It will returns false if it doesn't match
+         * and if yes then transit and returns the promise of transition omega. It will returns false if it doesn't match
          * @param {Object} param0 Delta object {input, action}
          */
         tryTransit({
             input,
             action
         }) {
-            if (this.now[action]) {
-                this.transit(Appomata.createDelta(action, input))
-                return true
+            if (this.now && this._handlers(action).length) {
+                return this.transit(Appomata.createDelta(action, input))
             }
             return false
 
@@ -318,96 +1102,989 @@ let Automata = (() => {
 
         /**
          * Add a new state to the list of states. It will set the automata name for
-         * both of state and it's view.
-         * @param {State} state An instance of state class {name, actions, local}
+         * both of state and it's view. Child states of the given state are added as well.
+         * @param {State} state An instance of state class {name, actions, local, states}
+         * @param {String} parent Id of the parent state (optional), to add the state as a child of an existing state
          */
-        addState(state) {
-            if (!states[state.name]) {
+        addState(state, parent = "") {
+            if (parent) {
+                if (!this.states[parent])
+                    throw `given parent state (${parent}) doesn't exists`
+                this.states[parent].addState(state)
+            }
+            if (!this.states[state.id]) {
                 state.automata = this.name;
                 Object.entries(state.views).forEach(([key, value]) => {
                     state.views[key].automata = this.name
                 })
-                states[state.name] = state;
+                this.states[state.id] = state;
+                Object.values(state.children).forEach(child => this.addState(child))
             }
         }
 
 
         /**
          * Register a view instance to the given state. One state may have multiple views, these views
-         * will be given to App engine to render whenever Automata transmit to the given state 
+         * will be given to App engine to render whenever Automata transmit to the given state or any of its descendants
          * @param {View} view View instance
-         * @param {String} state String of name of the state attaches to the given view
+         * @param {String} state String of id of the state attaches to the given view
          */
         addView(view, state = "") {
-            let attachedStates = state ? [state] : Object.keys(states)
-            attachedStates.filter(s => states[s]).forEach(s => {
+            let attachedStates = state ? [state] : Object.keys(this.states)
+            attachedStates.filter(s => this.states[s]).forEach(s => {
                 view.automatas.add(this.name);
-                states[s].addView(view);
+                this.states[s].addView(view);
             });
         }
 
         /**
-         * This is the transit function that will be called components
-         * or main app instance and pass delta. After receiving the delta
-         * current state as well as the observed context will be added to delta
-         * plus the local context of state automata, to keep shared
-         * data between transition within the automata that does not 
-         * required observing (like keys={}). Later this delta
-         * is passed to relevant state to be executed
-         * 
-         * Return: It returns an omega value which is {output, next}
-         * @param {Delta transition function that carries the action as well as the input data} delta 
+         * Return the given state and all of its ancestors, the state first
+         * @param {State} state Active state
          */
-        async transit(delta) {
-            // TODO: Add hooks as much as you can, i'ts great to add some tasks afetr every transition, like logging, or for example set the task status idle
-            if (!this.now)
-                throw "Current state is not initialized"
-            delta.from = this.now.name;
-            let loadedDelta = {
-                ...delta,
-                context: this.context,
-                buffer: this.buffer
-            }
-
-            automataEventBus.emit("beforeTransition", loadedDelta)
-            let omega;
-            try {
-                omega = await this.now.transit(loadedDelta);
-                this.now.cleanUp()
-                this.now = states[omega.next] || states.init || states.failed;
-            } catch (e) {
-                automataEventBus.emit("failedTransition", loadedDelta)
-                this.now.transit("failed", {
-                    ...loadedDelta,
-                    e
-                })
-                this.now.cleanUp()
-                this.now = states.failed;
-            }
-
-
-            // get new current state attached views to be passed to App renderer
-            // f(state) = {v1, v2, ..., vk}
-            omega.views = Object.values(this.now.views)
+        _pathOf(state) {
+            let path = []
+            for (let s = state; s; s = s.parent)
+                path.push(s)
+            return path
+        }
 
-            omega = Appomata.createOmega(omega.next, omega.output, omega.views)
+        /**
+         * Sort the given states in document order, parents before children
+         * @param {Array} states List of states
+         */
+        _ordered(states) {
+            let ids = Object.keys(this.states)
+            return states.slice().sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id))
+        }
 
-            //? No need If I dont want reactivity
-            omega.output = omega.output || {}
-            omega.output.context = JSON.parse(JSON.stringify(loadedDelta.context))
-            omega.output.buffer = loadedDelta.buffer
+        /**
+         * Return the active states that define the given action
+         * @param {String} action Action name
+         */
+        _handlers(action) {
+            return this.active.filter(s => s.hasAction(action))
+        }
 
-            // update the App engine to render its relevant components
-            let transitionOutputData = {
-                automata: this.name,
-                delta,
-                omega
+        /**
+         * Offer the delta to every active region. For each active atomic state, the action bubbles up
+         * from the state to its ancestors until one of them accepts it. A state that is shared by several
+         * regions accepts it only once. Returns a list of {leaf, state, transition}, empty when nothing accepts it,
+         * a region whose guard throws is {leaf, state, failure: {error}}.
+         * The input is validated against the schema of the state that is about to handle it, a region whose
+         * input is invalid stops there and {leaf, state, errors} is added to the given invalid list.
+         * @param {Object} delta Loaded delta
+         * @param {Array} invalid List that collects the regions with invalid input
+         */
+        async _select(delta, invalid = []) {
+            let selected = []
+            for (const leaf of this.leaves) {
+                for (const state of this._pathOf(leaf)) {
+                    if (selected.some(s => s.state === state) || invalid.some(s => s.state === state))
+                        break
+                    if (!state.hasAction(delta.action))
+                        continue
+                    let errors = this._validate(state, delta)
+                    if (errors.length) {
+                        invalid.push({
+                            leaf,
+                            state,
+                            errors
+                        })
+                        break
+                    }
+                    let transition
+                    try {
+                        transition = await state.select(delta)
+                    } catch (error) {
+                        // A guard that throws fails the region like a failing action, see _take
+                        selected.push({
+                            leaf,
+                            state,
+                            failure: {
+                                error
+                            }
+                        })
+                        break
+                    }
+                    if (transition) {
+                        selected.push({
+                            leaf,
+                            state,
+                            transition
+                        })
+                        break
+                    }
+                }
             }
-            automataEventBus.emit("dataTransition", transitionOutputData)
-            automataEventBus.emit("afterTransition", transitionOutputData)
-            return omega
+            return selected
         }
-    }
+
+        /**
+         * Views of all the active states, the outer most state views come first
+         */
+        _views() {
+            let views = []
+            this.active.forEach(s => Object.values(s.views).forEach(v => {
+                if (!views.includes(v))
+                    views.push(v)
+            }))
+            return views
+        }
+
+        /**
+         * Find the target state of a transition from the given source, see resolveTarget in definition.js
+         * @param {String} target Target name or path
+         * @param {State} source The state that handled the action
+         */
+        _resolve(target, source) {
+            if (target === undefined || target === null)
+                return
+            if (target === this.rootHistory.name)
+                return this.rootHistory
+            let id = resolveTarget(target, source.id, (id) => !!this.states[id])
+            return id && this.states[id]
+        }
+
+        /**
+         * States to be entered to reach the targets from the given domain in document order. It contains the
+         * targets ancestors below the domain, the targets, the initial children of compound states, all children
+         * of parallel states and the other regions of the parallel ancestors
+         * @param {Array} targets Target states
+         * @param {State} domain The ancestor that is not exited nor entered by the transition
+         */
+        _entrySet(targets, domain) {
+            let entries = []
+            let enter = (state) => {
+                if (entries.includes(state))
+                    return
+                entries.push(state)
+                if (state.parallel)
+                    state.substates.forEach(enter)
+                else if (state.isCompound)
+                    enter(state.initialChild)
+            }
+            let ancestors = []
+            targets.forEach(target => this._pathOf(target.parent)
+                .filter(s => !domain || s.isDescendantOf(domain))
+                .filter(s => !ancestors.includes(s))
+                .forEach(s => ancestors.push(s)))
+            entries.push(...ancestors)
+            targets.forEach(enter)
+            ancestors.filter(a => a.parallel).forEach(a => {
+                a.substates
+                    .filter(region => !entries.some(e => e === region || e.isDescendantOf(region)))
+                    .forEach(enter)
+            })
+            return this._ordered(entries)
+        }
+
+        /**
+         * Save the active substates of the given compound state (the whole automata if no state is given)
+         * and a copy of the buffer, so a history pseudo-state is able to restore them later
+         * @param {State} state Compound state that is going to be exited
+         */
+        _remember(state) {
+            this.history[state ? state.id : ""] = {
+                shallow: this.active.filter(s => s.parent === state).map(s => s.id),
+                deep: this.leaves.filter(s => !state || s.isDescendantOf(state)).map(s => s.id),
+                buffer: {
+                    ...this.buffer
+                }
+            }
+        }
+
+        /**
+         * Find the states that entering the given history pseudo-state leads to, they are the remembered
+         * substates of its parent when there is a record (plus the remembered buffer), otherwise its default
+         * target or the parent initial child
+         * @param {State} history History pseudo-state
+         */
+        _recall(history) {
+            let record = this.history[history.parent ? history.parent.id : ""]
+            if (record)
+                return {
+                    targets: record[history.history].map(id => this.states[id]).filter(s => s),
+                    buffer: record.buffer
+                }
+            let target = history.target !== undefined ? this._resolve(history.target, history) :
+                history.parent ? history.parent.initialChild : this.states[this.initialState]
+            return {
+                targets: [target]
+            }
+        }
+
+        /**
+         * Start the delayed transitions and intervals of an entered state on the automata clock, and its invoked services
+         * @param {State} state Entered state
+         */
+        _schedule(state) {
+            let timers = []
+            Object.values(state.actions).filter(a => a.delay !== undefined).forEach(action => {
+                let id = this.clock.setTimeout(() => this._fire(Appomata.createDelta(action.name, {})), action.delay)
+                timers.push(() => this.clock.clearTimeout(id))
+            })
+            state.intervals.forEach(({
+                interval,
+                action,
+                input = {}
+            }) => {
+                let id = this.clock.setInterval(() => this._fire(Appomata.createDelta(action, input)), interval)
+                timers.push(() => this.clock.clearInterval(id))
+            })
+            state.services.forEach(service => timers.push(this._invoke(state, service)))
+            if (timers.length)
+                this.timers[state.id] = timers
+        }
+
+        /**
+         * Start a service invoked by an entered state. Its src receives {automata, state, context, buffer, input, signal, send}
+         * and returns one of:
+         * - a promise, its value is sent as the done action and its failure as the error action
+         * - an async iterable, every value is sent as the progress action, then done or error when it ends
+         * - nothing or a cleanup function, for callback services that call send(action, input) themselves
+         * The input of done and progress is {service, data}, the input of error is {service, name, message}.
+         * Nothing is sent once the state is exited. Returns the function that stops the service
+         * @param {State} state Entered state
+         * @param {Object} service Normalized service
+         */
+        _invoke(state, service) {
+            let controller = createAbortController()
+            let send = (action, input = {}) => {
+                if (!controller.signal.aborted)
+                    return this._fire(Appomata.createDelta(action, input))
+            }
+            let fail = (e) => send(service.error, {
+                service: service.id,
+                name: e && e.name || "Error",
+                message: e && e.message || e
+            })
+            let cleanup = null
+            let running
+            try {
+                running = service.src({
+                    automata: this.id,
+                    state: state.id,
+                    context: this.context,
+                    buffer: this.buffer,
+                    input: service.input,
+                    signal: controller.signal,
+                    send
+                })
+            } catch (e) {
+                fail(e)
+            }
+            if (running && typeof running[Symbol.asyncIterator] === "function") {
+                let iterator = running[Symbol.asyncIterator]()
+                cleanup = () => iterator.return && iterator.return()
+                let iterate = async () => {
+                    let step = await iterator.next()
+                    while (!step.done && !controller.signal.aborted) {
+                        send(service.progress, {
+                            service: service.id,
+                            data: step.value
+                        })
+                        step = await iterator.next()
+                    }
+                    send(service.done, {
+                        service: service.id,
+                        data: step.value
+                    })
+                }
+                iterate().catch(fail)
+            } else if (running && typeof running.then === "function")
+                running.then(data => send(service.done, {
+                    service: service.id,
+                    data
+                }), fail)
+            else if (typeof running === "function")
+                cleanup = running
+            return () => {
+                controller.abort()
+                if (cleanup)
+                    cleanup()
+            }
+        }
+
+        /**
+         * Cancel the delayed transitions and intervals of an exited state, and stop its invoked services
+         * @param {State} state Exited state
+         */
+        _unschedule(state) {
+            (this.timers[state.id] || []).forEach(cancel => cancel())
+            delete this.timers[state.id]
+        }
+
+        /**
+         * Call the given hook ("onEntry" or "onExit") of the given states in order. Entered states
+         * start their timers after onEntry, exited states stop them before onExit and are cleaned up after it.
+         * A hook that throws doesn't stop the other states, the first error is thrown once all of them are done.
+         * @param {Array} states List of states
+         * @param {String} hook Hook name
+         * @param {Object} delta The delta that caused the transition
+         */
+        async _runHooks(states, hook, delta) {
+            let failure
+            for (const state of states) {
+                if (hook === "onExit")
+                    this._unschedule(state)
+                try {
+                    if (state[hook])
+                        await state[hook]({
+                            automata: this.id,
+                            state: state.id,
+                            context: this.context,
+                            buffer: this.buffer,
+                            delta
+                        })
+                } catch (error) {
+                    failure = failure || {
+                        error
+                    }
+                }
+                if (hook === "onExit")
+                    state.cleanUp()
+                else
+                    this._schedule(state)
+            }
+            if (failure)
+                throw failure.error
+        }
+
+        /**
+         * Move the automata from the source state to the target state. The transition domain is the nearest
+         * non parallel ancestor of the source that contains the target. All active states inside the domain are
+         * exited (children first), then states down to the target are entered (parents first). Active states of the
+         * other regions outside the domain stay active. The active substates of exited compound states are
+         * remembered, and when the target is a history pseudo-state the remembered substates are entered instead.
+         * The automata moves even when a hook throws, the first error is thrown after the move.
+         * @param {State} source The state that handled the action
+         * @param {State} target Target state
+         * @param {Object} delta The delta that caused the transition
+         */
+        async _move(source, target, delta) {
+            let domain = source.parent
+            while (domain && (domain.parallel || !target.isDescendantOf(domain)))
+                domain = domain.parent
+
+            let exits = this.active.filter(s => !domain || s.isDescendantOf(domain)).reverse()
+            let {
+                targets,
+                buffer
+            } = target.history ? this._recall(target) : {
+                targets: [target]
+            }
+            let entries = this._entrySet(targets, domain)
+
+            exits.filter(s => s.isCompound).forEach(s => this._remember(s))
+            if (!domain)
+                this._remember(null)
+            let failure
+            let failed = (error) => failure = failure || {
+                error
+            }
+            await this._runHooks(exits, "onExit", delta).catch(failed)
+            if (buffer)
+                Object.assign(this.buffer, buffer)
+            this.active = this._ordered(this.active.filter(s => !exits.includes(s)).concat(entries))
+            await this._runHooks(entries, "onEntry", delta).catch(failed)
+            if (failure)
+                throw failure.error
+        }
+
+        /**
+         * Run the selected transition of one region and move the automata to its target. If the action
+         * doesn't declare targets and returns nothing, no state is exited or entered. If the delta is
+         * cancelled before the automata moves, nothing happens and it returns null. A guard, action or
+         * hook that throws fails the transition, see _failure.
+         * Returns the transition omega plus "from", the id of the atomic state the region was in
+         * @param {Object} region Selected transition {leaf, state, transition, failure}
+         * @param {Object} loadedDelta Loaded delta
+         */
+        async _take({
+            leaf,
+            state,
+            transition,
+            failure
+        }, loadedDelta) {
+            let delta = {
+                ...loadedDelta,
+                from: leaf.id
+            }
+            let omega;
+            let attempts = 0
+            try {
+                if (failure)
+                    throw failure.error
+                omega = await this._attempt(state, transition, delta, (attempt) => attempts = attempt);
+            } catch (e) {
+                if (delta.signal.aborted)
+                    return null
+                omega = this._failure(this._error(e, delta, state, attempts), state, delta)
+            }
+            if (delta.signal.aborted)
+                return null
+            if (omega === undefined || omega === null) {
+                // The action returned nothing, it's an internal action and the automata stays where it is
+                omega = Appomata.createOmega(leaf.id)
+            } else {
+                let target = this._resolve(omega.next, state) || this.states.init || this.states.failed
+                try {
+                    await this._move(state, target, delta)
+                } catch (e) {
+                    // A hook failure goes to the error target, unless the automata is already there
+                    let error = this._error(e, delta, state, attempts)
+                    if (omega.error === undefined) {
+                        omega = this._failure(error, state, delta)
+                        await this._move(state, this._resolve(omega.next, state) || this.states.failed, delta)
+                            .catch(e => this._error(e, delta, state, attempts))
+                    }
+                }
+            }
+            omega.from = leaf.id
+            return omega
+        }
+
+        /**
+         * Describe the error of a transition {name, message, action, state, from, attempts} and tell
+         * the "failedTransition" listeners. Returns the error
+         * @param {*} e Thrown error
+         * @param {Object} delta The delta of the transition
+         * @param {State} state The state that handled it
+         * @param {Number} attempts Number of times the action ran
+         */
+        _error(e, delta, state, attempts = 1) {
+            let error = {
+                name: e && e.name || "Error",
+                message: e && e.message || e,
+                action: delta.action,
+                state: state ? state.id : null,
+                from: delta.from || null,
+                attempts
+            }
+            this.eventBus.emit("failedTransition", {
+                ...delta,
+                e,
+                error
+            })
+            return error
+        }
+
+        /**
+         * Catch the failure of a transition that nobody waits for, like the ones of timers, services,
+         * broadcasts and children, it's told to the "failedTransition" listeners
+         * @param {Promise} transition Promise of the transition omega
+         * @param {Object} delta The delta of the transition
+         */
+        _background(transition, delta) {
+            return transition.catch(e => {
+                this._error(e, delta, this.now)
+            })
+        }
+
+        /**
+         * Transit without waiting for the omega, see _background
+         * @param {Object} delta Delta
+         */
+        _fire(delta) {
+            return this._background(this.transit(delta), delta)
+        }
+
+        /**
+         * Create the omega of a failed transition. The action onError wins, then the nearest onError of the state
+         * and its ancestors, otherwise it goes to the failed state and the error is kept in buffer.failedOutput
+         * @param {Object} error Error of the transition, see _error
+         * @param {State} state The state that handled the delta
+         * @param {Object} delta The delta of the transition
+         */
+        _failure(error, state, delta) {
+            let onError = state.actions[delta.action].onError
+            let declaring = state
+            if (onError === undefined) {
+                declaring = this._pathOf(state).find(s => s.onError !== undefined)
+                onError = declaring && declaring.onError
+            }
+            let target = onError !== undefined && this._resolve(onError, declaring)
+            if (!target)
+                this.buffer.failedOutput = {
+                    ...error,
+                    delta: {
+                        action: delta.action,
+                        input: delta.input
+                    }
+                }
+            let omega = Appomata.createOmega(target ? target.id : "failed", {
+                error
+            })
+            omega.error = error
+            return omega
+        }
+
+        /**
+         * Run the selected transition, a failing action runs again as long as its retry option allows,
+         * waiting for the backoff delay on the automata clock. The last error is thrown.
+         * @param {State} state The state that handles the action
+         * @param {Object} transition Selected transition
+         * @param {Object} delta Loaded delta
+         * @param {Function} counted Called with the number of every attempt
+         */
+        async _attempt(state, transition, delta, counted) {
+            let retry = normalizeRetry(state.actions[delta.action].retry)
+            for (let attempt = 1;; attempt++) {
+                counted(attempt)
+                try {
+                    return await state.run(transition, delta)
+                } catch (e) {
+                    if (delta.signal.aborted || attempt >= retry.attempts)
+                        throw e
+                    let wait = Math.min(retry.delay * Math.pow(retry.factor, attempt - 1), retry.maxDelay)
+                    this.eventBus.emit("retryTransition", {
+                        automata: this.id,
+                        delta,
+                        attempt,
+                        delay: wait,
+                        error: e && e.message || e
+                    })
+                    if (wait > 0)
+                        await new Promise(resolve => this.clock.setTimeout(resolve, wait))
+                }
+            }
+        }
+
+        /**
+         * Leave the failed state back to the states that were active before the failure (and their buffer),
+         * and optionally send the failed delta again. Returns the promise of the last transition omega
+         * @param {Object} options Contains retry to send the failed delta again after going back
+         */
+        async recover({
+            retry = false
+        } = {}) {
+            if (!this.states.failed || !this.active.includes(this.states.failed))
+                throw "Automata is not in failed state"
+            let failed = this.buffer.failedOutput
+            let omega = await this.transit(Appomata.createDelta("back", {}))
+            if (retry && failed && failed.delta)
+                return this.transit(Appomata.createDelta(failed.delta.action, failed.delta.input))
+            return omega
+        }
+
+        /**
+         * Add a middleware that wraps the transitions of this automata, it runs after the ones used on Appomata.
+         * Returns the function that removes it
+         * @param {Function} middleware Middleware ({automata, delta}, next) => omega, see middleware.js
+         */
+        use(middleware) {
+            assert(typeof middleware === "function", "Middleware must be a function")
+            this.middlewares.push(middleware)
+            return () => this.middlewares = this.middlewares.filter(m => m !== middleware)
+        }
+
+        /**
+         * Install a plugin on this automata, see middleware.js
+         * @param {Object} plugin Plugin {name, install, uninstall}
+         * @param {Object} options Options given to the plugin install
+         */
+        install(plugin, options) {
+            return this.plugins.install(plugin, options)
+        }
+
+        /**
+         * Uninstall the plugin with the given name, returns false if it's not installed
+         * @param {String} name Plugin name
+         */
+        uninstall(name) {
+            return this.plugins.uninstall(name)
+        }
+
+        /**
+         * The automata is done when every active atomic state is final
+         */
+        get done() {
+            return this.leaves.length > 0 && this.leaves.every(s => s.final)
+        }
+
+        /**
+         * Send a delta to another automata, see Appomata.send
+         * @param {String} to Automata id, "parent" or the id of a child
+         * @param {String} action Action name
+         * @param {Object} input Action input
+         */
+        send(to, action, input = {}) {
+            return Appomata.send(to === "parent" ? this.parent : to, action, input, this.id)
+        }
+
+        /**
+         * Send a delta to every other automata that handles it, see Appomata.broadcast
+         * @param {String} action Action name
+         * @param {Object} input Action input
+         */
+        broadcast(action, input = {}) {
+            Appomata.broadcast(action, input, this.id)
+        }
+
+        /**
+         * Spawn a child automata from a created automata. When the child is done (see done) it's stopped
+         * and the parent receives the done action with {child, state, data}, data is the output of the last child transition
+         * @param {String} name Name of the automata created by createAutomata
+         * @param {Object} options Contains id, context and buffer of the child (see Appomata.spawnAutomata) and:
+         * - done: Action sent to the parent when the child is done, "childDone" by default
+         */
+        spawnChild(name, {
+            id,
+            context,
+            buffer,
+            done = "childDone"
+        } = {}) {
+            let child = Appomata.spawnAutomata(name, {
+                id,
+                context,
+                buffer
+            })
+            child.parent = this.id
+            this.children[child.id] = child
+            child.on("afterTransition", ({
+                omega
+            }) => {
+                if (!child.done || this.children[child.id] !== child)
+                    return
+                let state = child.now.id
+                // The child is stopped once its queue is empty, then the parent hears about it
+                child.settle().then(() => {
+                    if (!this.stopChild(child.id) || Appomata.getAutomata(this.id) !== this)
+                        return
+                    let input = {
+                        child: child.id,
+                        state,
+                        data: omega.output
+                    }
+                    this._background(Appomata.send(this.id, done, input, child.id), Appomata.createDelta(done, input))
+                })
+            })
+            return child
+        }
+
+        /**
+         * Stop a child automata and its own children, they're removed from Appomata
+         * @param {String} id Child id
+         */
+        stopChild(id) {
+            if (!this.children[id])
+                return false
+            Appomata.destroyAutomata(id)
+            return true
+        }
+
+        /**
+         * Current processing status {busy, pending}, busy is true while a delta is being processed
+         * and pending is the number of queued deltas
+         */
+        get status() {
+            return {
+                busy: !!this.running,
+                pending: this.queue.length
+            }
+        }
+
+        /**
+         * Return a promise that resolves when all the queued deltas are processed
+         */
+        settle() {
+            if (!this.running && !this.queue.length)
+                return Promise.resolve()
+            return new Promise(resolve => this.settlers.push(resolve))
+        }
+
+        /**
+         * Concurrency policy of the given action in the current states, "queue" by default
+         * @param {String} action Action name
+         */
+        _policyOf(action) {
+            let handler = this._handlers(action)[0]
+            return handler && handler.actions[action].policy || "queue"
+        }
+
+        /**
+         * Create an omega for a delta that never ran, the automata stays where it is
+         * @param {Object} delta Delta
+         * @param {String} status "dropped", "cancelled" or "vetoed"
+         */
+        _skipped(delta, status) {
+            let omega = Appomata.createOmega(this.now && this.now.id, {
+                reason: status,
+                action: delta.action
+            }, this._views())
+            omega.status = status
+            this.eventBus.emit(`${status}Transition`, {
+                automata: this.id,
+                delta,
+                omega
+            })
+            return omega
+        }
+
+        /**
+         * Validate the delta input against the schema of the action in the given state, see schema.js
+         * Returns the list of errors {path, keyword, message}
+         * @param {State} state State that handles the action
+         * @param {Object} delta Delta
+         */
+        _validate(state, delta) {
+            let schema = state.actions[delta.action].schema
+            return schema ? validateSchema(schema, delta.input) : []
+        }
+
+        /**
+         * Create the omega of a delta whose input is invalid, the automata stays where it is and the action doesn't run.
+         * Apps render it like a transition, so views are able to show the errors of every field through omega.output.fields
+         * @param {Object} delta Delta
+         * @param {Array} errors Validation errors
+         */
+        _invalid(delta, errors) {
+            let omega = Appomata.createOmega(this.now.id, {
+                reason: "invalid",
+                action: delta.action,
+                from: delta.from,
+                errors,
+                fields: fieldErrors(errors),
+                context: JSON.parse(JSON.stringify(this.context)),
+                buffer: this.buffer
+            }, this._views())
+            omega.status = "invalid"
+            omega.errors = errors
+            let transitionOutputData = {
+                automata: this.id,
+                delta,
+                omega
+            }
+            this.eventBus.emit("invalidTransition", transitionOutputData)
+            this.eventBus.emit("afterTransition", transitionOutputData)
+            return omega
+        }
+
+        /**
+         * Tell the listeners of "statusChanged" that the automata became busy or idle, or its queue changed
+         */
+        _emitStatus() {
+            this.eventBus.emit("statusChanged", {
+                automata: this.id,
+                ...this.status
+            })
+        }
+
+        /**
+         * Process a queued delta through the middleware chain. A delta that a middleware doesn't pass on
+         * is vetoed, the automata stays where it is and omega.status is "vetoed"
+         * @param {Object} item Queued item {delta, controller}
+         */
+        async _handle(item) {
+            let signal = item.controller.signal
+            let chain = compose(Appomata.middlewares.concat(this.middlewares), (delta) => this._process(delta, signal))
+            let omega = await chain({
+                automata: this
+            }, item.delta)
+            if ((omega === undefined || omega === null) && !signal.aborted)
+                return this._skipped(item.delta, "vetoed")
+            return omega
+        }
+
+        /**
+         * Process queued deltas one at a time, in the order they arrived
+         */
+        async _drain() {
+            if (this.running)
+                return
+            while (this.queue.length) {
+                let item = this.running = this.queue.shift()
+                this._emitStatus()
+                let handled = this._handle(item)
+                try {
+                    item.resolve(await Promise.race([handled, item.cancelled]))
+                    // A cancelled delta is answered right away, the next one waits until it's over
+                    await handled
+                } catch (e) {
+                    item.reject(e)
+                }
+            }
+            this.running = null
+            this._emitStatus()
+            this.settlers.splice(0).forEach(resolve => resolve())
+        }
+
+        /**
+         * This is the transit function that will be called components or main app instance and pass delta.
+         * Deltas are queued and processed one at a time, so every delta runs against the state that the
+         * previous one left. The policy of the action decides what happens when the automata is busy:
+         * - queue: (default) wait for the turn
+         * - drop: ignore the delta, omega.status is "dropped"
+         * - latest: cancel the queued deltas and the in-flight delta of the same action, their omega.status is "cancelled"
+         *   and the in-flight action receives the abort through delta.signal. The next delta waits until the cancelled one
+         *   is over, when it moved the automata before it heard the abort its transition is still emitted
+         * When its turn comes, the delta goes through the middleware of Appomata and of the automata (see use)
+         *
+         * Return: The promise of transition omega
+         * @param {Delta transition function that carries the action as well as the input data} delta 
+         */
+        transit(delta) {
+            let policy = this._policyOf(delta.action)
+            let busy = !!this.running || this.queue.length > 0
+            if (policy === "drop" && busy)
+                return Promise.resolve(this._skipped(delta, "dropped"))
+
+            if (policy === "latest") {
+                this.queue.filter(item => item.delta.action === delta.action).forEach(item => item.cancel())
+                if (this.running && this.running.delta.action === delta.action)
+                    this.running.cancel()
+            }
+
+            return new Promise((resolve, reject) => {
+                let controller = createAbortController()
+                let cancel
+                let cancelled = new Promise(r => cancel = r)
+                let item = {
+                    delta,
+                    controller,
+                    resolve,
+                    reject,
+                    cancelled,
+                    cancel: () => {
+                        if (controller.signal.aborted)
+                            return
+                        controller.abort()
+                        this.queue = this.queue.filter(i => i !== item)
+                        let omega = this._skipped(delta, "cancelled")
+                        cancel(omega)
+                        resolve(omega)
+                    }
+                }
+                this.queue.push(item)
+                this._emitStatus()
+                this._drain()
+            })
+        }
+
+        /**
+         * This is the function that processes one delta at a time. After receiving the delta
+         * current state as well as the observed context will be added to delta
+         * plus the local context of state automata, to keep shared
+         * data between transition within the automata that does not 
+         * required observing (like keys={}). Later this delta
+         * is passed to relevant state to be executed. If the current state doesn't handle
+         * the action, it bubbles up to its parent states. With parallel regions, the delta is offered
+         * to every active region and omega.regions lists {from, next, output} of each region that transited.
+         * 
+         * Return: It returns an omega value which is {output, next, status}, status is "rejected"
+         * when the current state doesn't have the action or its guards reject the delta, and "invalid" when
+         * the delta input doesn't match the schema of the action
+         * @param {Delta transition function that carries the action as well as the input data} delta 
+         * @param {AbortSignal} signal Signal that tells the action the delta is cancelled
+         */
+        async _process(delta, signal) {
+            if (!this.now)
+                throw "Current state is not initialized"
+            delta.from = this.now.id;
+            // Messages sent by the actions are delivered once the transition is done, in the order they were sent
+            let outbox = []
+            let loadedDelta = {
+                ...delta,
+                context: this.context,
+                buffer: this.buffer,
+                signal,
+                send: (to, action, input) => outbox.push(() => this.send(to, action, input)),
+                broadcast: (action, input) => outbox.push(() => this.broadcast(action, input)),
+                spawn: (name, options) => this.spawnChild(name, options),
+                stop: (id) => this.stopChild(id)
+            }
+
+            this.eventBus.emit("beforeTransition", loadedDelta)
+            let invalid = []
+            let selected = await this._select(loadedDelta, invalid)
+            let errors = [].concat(...invalid.map(r => r.errors))
+            if (!selected.length && errors.length)
+                return this._invalid(delta, errors)
+            if (!selected.length) {
+                // None of the action candidates accepted the delta, the automata stays where it is
+                let rejected = Appomata.createOmega(this.now.id, {
+                    reason: this._handlers(delta.action).length ? "guard" : "noAction",
+                    action: delta.action,
+                    from: delta.from
+                }, this._views())
+                rejected.status = "rejected"
+                this.eventBus.emit("rejectedTransition", {
+                    automata: this.id,
+                    delta,
+                    omega: rejected
+                })
+                return rejected
+            }
+            // Every region that accepted the delta transits in document order, a region that is
+            // already exited by an earlier transition of this delta is skipped
+            let regions = []
+            for (const region of selected) {
+                if (!this.active.includes(region.state))
+                    continue
+                let taken = await this._take(region, loadedDelta)
+                if (taken)
+                    regions.push(taken)
+            }
+            // The delta was cancelled before any region moved
+            if (!regions.length)
+                return
+            let omega = regions[0]
+
+            // get new active states attached views to be passed to App renderer
+            // f(state) = {v1, v2, ..., vk}
+            omega.views = this._views()
+
+            omega = Appomata.createOmega(omega.next, omega.output, omega.views)
+            omega.status = "done"
+            omega.regions = regions.map(r => ({
+                from: r.from,
+                next: r.next,
+                output: r.output
+            }))
+            // Regions whose input was invalid stayed where they are, their errors are carried in the omega
+            if (errors.length)
+                omega.errors = errors
+            // A failed region makes the whole transition failed, the error is carried in the omega
+            let failed = regions.find(r => r.error)
+            if (failed) {
+                omega.status = "failed"
+                omega.error = failed.error
+            }
+
+            //? No need If I dont want reactivity
+            // An output that isn't an object is kept as {value}, so the context and buffer can be attached
+            if (omega.output === undefined || omega.output === null)
+                omega.output = {}
+            else if (typeof omega.output !== "object")
+                omega.output = {
+                    value: omega.output
+                }
+            omega.output.context = JSON.parse(JSON.stringify(loadedDelta.context))
+            omega.output.buffer = loadedDelta.buffer
+
+            // update the App engine to render its relevant components
+            let transitionOutputData = {
+                automata: this.id,
+                delta,
+                omega
+            }
+            this.eventBus.emit("dataTransition", transitionOutputData)
+            this.eventBus.emit("afterTransition", transitionOutputData)
+            if (omega.status === "done")
+                outbox.forEach(deliver => {
+                    let undelivered = (error) => this.eventBus.emit("undeliveredMessage", {
+                        automata: this.id,
+                        error
+                    })
+                    try {
+                        Promise.resolve(deliver()).catch(undelivered)
+                    } catch (error) {
+                        undelivered(error)
+                    }
+                })
+            return omega
+        }
+    }
 
     return Automata;
 
@@ -424,57 +2101,222 @@ let Automata = (() => {
 class State {
     /**
      * Return a new instance of State class with the given configuration.
-     * @param { Object } configuration State configuration contains three values of {name as state name, local as state local data, actions as state actions for transition 
+     * @param { Object } configuration State configuration contains {name as state name, local as state local data, actions as state actions for transition,
+     * states as list of child states, initial as name of the initial child, parallel as flag of having all children active
+     * at the same time as orthogonal regions, onEntry and onExit as hooks called on entering and exiting the state,
+     * history as "shallow" or "deep" to make this state a history pseudo-state of its parent and target as its default target}
+     * Entering a history pseudo-state restores the last active direct children (shallow) or atomic descendants (deep) of
+     * its parent and the buffer they were left with, or goes to the default target if the parent has never been exited
+     * - after: Delayed transitions {delay: action} or [{delay, target, guard, run}], they become "after(delay)" actions
+     * - every: Intervals {interval: action name} or [{interval, action, input}] that dispatch the action while the state is active
+     * - onError: State to go to when an action of this state or its substates fails and the action has no onError
+     * - invoke: Services {id, src, input, done, error, progress} started on entry and stopped on exit, see Automata._invoke
      */
     constructor({
         name,
         local = {},
         actions = {},
-        views = {}
+        views = {},
+        final = false,
+        states = [],
+        initial,
+        parallel = false,
+        onEntry,
+        onExit,
+        history,
+        target,
+        after,
+        every,
+        onError,
+        invoke
     }) {
         this.name = name;
         this.local = local;
         this.views = views
-        Object.entries(actions).forEach(e => {
-            this.defineAction({
-                name: e[0],
-                f: e[1]
-            })
+        this.final = final
+        this.actions = {}
+        this.parent = null
+        this.children = {}
+        this.initial = initial
+        this.parallel = parallel
+        this.history = history
+        this.target = target
+        this.onEntry = onEntry
+        this.onExit = onExit
+        this.onError = onError
+        this.intervals = normalizeIntervals(every)
+        this.services = normalizeServices(invoke)
+        Object.entries(actions).forEach(([name, action]) => {
+            this.defineAction(normalizeAction(name, action))
+        })
+        delayedActions(after).forEach(action => this.defineAction(action))
+        states.forEach(s => this.addState(s))
+    }
+    /**
+     * Full path of the state from the top-level state, like "checkout.shipping.editing"
+     */
+    get id() {
+        return this.parent ? `${this.parent.id}.${this.name}` : this.name
+    }
+    /**
+     * A compound state is a state that has child states
+     */
+    get isCompound() {
+        return this.substates.length > 0
+    }
+    /**
+     * Child states except history pseudo-states
+     */
+    get substates() {
+        return Object.values(this.children).filter(c => !c.history)
+    }
+    /**
+     * The child state that is entered when this compound state is entered, by default the first child.
+     * Parallel states enter all of their children instead
+     */
+    get initialChild() {
+        return this.children[this.initial] || this.substates[0]
+    }
+    /**
+     * Add a child state to this state
+     * @param {State} state Child state
+     */
+    addState(state) {
+        state.parent = this
+        this.children[state.name] = state
+    }
+    /**
+     * Check whether or not this state is nested inside the given state
+     * @param {State} state The possible ancestor
+     */
+    isDescendantOf(state) {
+        for (let s = this.parent; s; s = s.parent)
+            if (s === state)
+                return true
+        return false
+    }
+    /**
+     * Return a copy of this state with the same actions, views and child states, it's used
+     * when an automata spawns a new instance of itself
+     */
+    clone() {
+        return new State({
+            name: this.name,
+            local: JSON.parse(JSON.stringify(this.local)),
+            final: this.final,
+            actions: this.actions,
+            views: {
+                ...this.views
+            },
+            states: Object.values(this.children).map(c => c.clone()),
+            initial: this.initial,
+            parallel: this.parallel,
+            history: this.history,
+            target: this.target,
+            every: this.intervals,
+            invoke: this.services,
+            onError: this.onError,
+            onEntry: this.onEntry,
+            onExit: this.onExit
         })
     }
     addView(view) {
         if (!this.views[view.name]) {
-            view.states.add(this.name)
+            view.states.add(this.id)
             this.views[view.name] = view;
         }
     }
+    /**
+     * Check whether or not this state has the given action
+     * @param {String} action Action name
+     */
+    hasAction(action) {
+        return !!this.actions[action]
+    }
+    /**
+     * Pick the transition of the requested action that should be taken. Candidates are checked in the
+     * order they are defined and the first one that has no guard or its guard passes is returned.
+     * Guards receive {input, context, buffer, state, action}. It returns undefined when the action doesn't
+     * exist or all of the guards reject it.
+     * @param {Object} delta Delta contains {action, input, context, buffer}
+     */
+    async select(delta) {
+        let action = this.actions[delta.action]
+        if (!action)
+            return
+        for (const transition of action.transitions) {
+            if (!transition.guard || await transition.guard({
+                    input: delta.input,
+                    context: delta.context,
+                    buffer: delta.buffer,
+                    state: this.name,
+                    action: delta.action
+                }))
+                return transition
+        }
+    }
+    /**
+     * Run the selected transition and return its omega. When targets are declared, the action function
+     * may return just the output and the omega goes to the first target, or return an omega to choose
+     * one of the targets. Going anywhere else fails. An output that isn't an object ends up as omega.output.value
+     * @param {Object} transition Selected transition {targets, guard, run}
+     * @param {Object} delta Delta contains {action, input, context, buffer}
+     */
+    async run(transition, delta) {
+        let result = transition.run ? await transition.run(delta) : undefined
+        if (!transition.targets.length)
+            return result
+        let omega = Appomata.isOmega(result) ? result : Appomata.createOmega(transition.targets[0], result)
+        if (!transition.targets.includes(omega.next))
+            throw `Action (${delta.action}) of state (${this.name}) transits to undeclared target (${omega.next})`
+        return omega
+    }
     /**
      * This is called by the "transition" function within the main Automata (state automata) ad long
      * that passed the delta info, here the requested action will be selected and after execution of the action
-     * the output or "omega" will be returned, in case action does not exist it will transit into failed state
+     * the output or "omega" will be returned, in case action does not exist or it's rejected by its guards it will transit into failed state
      * The delta contains {action, input, context, buffer}
      * @param {Transition delta function contain action, input, from, FSA local context, and observed context} delta 
      */
     async transit(delta) {
-        return (this[delta.action] && await this[delta.action](delta)) || this.failed(delta)
+        let transition = await this.select(delta)
+        return (transition && await this.run(transition, delta)) || this.failed(delta)
     }
     failed(delta) {
         return Appomata.createOmega("failed", {
-            name: this.name,
-            ...delta
+            error: {
+                name: "RejectedAction",
+                message: `Action (${delta.action}) is not accepted by state (${this.name})`,
+                action: delta.action,
+                state: this.id,
+                from: delta.from
+            }
         })
     }
     /**
      * Pair of action name and it 's handler that is going to be added to this state.
      * Every action is a function with delta as it's input parameter.
      * The delta contains {action, input, context, buffer}
-     * @param {Object contains two values of {name: action name, f: an async action function}} param0 
+     * An action may have several candidate transitions {targets, guard, run}, the first one its guard passes is taken
+     * @param {Object} action contains {name: action name, f: an async action function, targets: list of declared target state names, guard: condition function}
+     * or {name, transitions: list of candidate transitions} 
      */
     defineAction({
         name,
-        f
+        f,
+        targets = [],
+        guard,
+        transitions,
+        ...options
     }) {
-        this[name] = (delta) => f(delta);
+        this.actions[name] = normalizeAction(name, {
+            ...options,
+            transitions: transitions || [{
+                targets,
+                guard,
+                run: f
+            }]
+        })
     }
     cleanUp() {}
 }
@@ -488,20 +2330,41 @@ class State {
  * manipulate the state based on the reactivity
  */
 let App = (() => {
-    let appEventBus = EventBus()
     class App {
         /**
          * Create an instance App
          * @param {String} name App name!
+         * @param {Object} options Contains:
+         * - schedule: Function that calls the given callback before the next frame, transitions that happen
+         *   before it are rendered together. requestAnimationFrame by default, renders synchronously when it's
+         *   null or not available (like in Node and tests)
+         * - fallback: Function that renders a view whose render throws and has no fallback of its own, it
+         *   receives the render data plus the error and the view
          */
-        constructor(name) {
+        constructor(name, {
+            schedule = typeof requestAnimationFrame === "function" ? (f) => requestAnimationFrame(f) : null,
+            fallback
+        } = {}) {
             this.name = name;
+            this.fallback = fallback
             this.layouts = {}
             this.components = {}
             this.componentsVTrees = {}
+            this.schedule = schedule
+            // The last transition of every connected automata, their views are rendered together
+            this.transitions = {}
+            // Transitions waiting for the next frame
+            this.changed = []
+            this.frame = null
+            this.statusRender = null
 
-            this.on = appEventBus.on;
-            this.off = appEventBus.on;
+            // Every app has its own events, see events.js
+            this.eventBus = createEventBus({
+                aliases: APP_EVENTS
+            })
+            this.on = this.eventBus.on;
+            this.once = this.eventBus.once;
+            this.off = this.eventBus.off;
         }
 
         /**
@@ -517,51 +2380,147 @@ let App = (() => {
             // check components have this automata and delta.action in 
             // their registered states, and render them and that 
             // apply diff and patch them
-            appEventBus.emit("beforAppRender", transitionEvent)
-            this.render(transitionEvent)
-            appEventBus.emit("afterAppRender", transitionEvent)
+            this.eventBus.emit("beforAppRender", transitionEvent)
+            this.lastTransition = transitionEvent
+            this.transitions[transitionEvent.automata] = transitionEvent
+            this.changed.push(transitionEvent)
+            this._requestRender()
         }
         /**
-         * Add layout component instance to the list of layouts
+         * An event calls by Automata whenever it becomes busy or idle, the last transition
+         * is rendered again when a view of the automata read the status. Without a scheduler
+         * the status changes are rendered on the next microtask, so the ones made together
+         * are rendered once and a transition rendered before takes them along
+         * @param {Object} statusEvent Contains {automata, busy, pending}
+         */
+        onStatus(statusEvent) {
+            if (!this.lastTransition || !this.rootNode || !this._readsStatus(statusEvent.automata))
+                return
+            if (this.schedule)
+                return this._requestRender()
+            if (!this.statusRender)
+                this.statusRender = Promise.resolve().then(() => this.statusRender && this.flush())
+        }
+        /**
+         * Check if a view or a layout read the status of the automata in its last render
+         * @param {String} id Automata id
+         */
+        _readsStatus(id) {
+            let automata = Appomata.getAutomata(id)
+            let views = (automata ? automata._views() : []).concat(Object.values(this.layouts).map(l => l.layout))
+            return views.some(view => view.memos && view.memos[id] && view.memos[id].used.status)
+        }
+        /**
+         * An event calls by Automata whenever its context changes, changes made by transitions are rendered
+         * with the transition, the others are rendered right away (or on the next frame). Views that didn't
+         * read the changed paths are not rendered again
+         * @param {Object} changeEvent Contains {automata, busy, changes}
+         */
+        onContextChange(changeEvent) {
+            if (!changeEvent.busy && this.transitions[changeEvent.automata] && this.rootNode)
+                this._requestRender()
+        }
+        /**
+         * Render on the next frame, or right away when there is no scheduler
+         */
+        _requestRender() {
+            if (!this.schedule)
+                return this.flush()
+            if (!this.frame)
+                this.frame = this.schedule(() => this.flush())
+        }
+        /**
+         * Render all the waiting transitions with one diff and patch
+         */
+        flush() {
+            this.frame = null
+            this.statusRender = null
+            let changed = this.changed.splice(0)
+            if (!this.rootNode)
+                return
+            this._patch(changed)
+            changed.forEach(transitionEvent => this.eventBus.emit("afterAppRender", transitionEvent))
+        }
+        /**
+         * Add layout component instance to the list of layouts. A layout is a view (or any object with
+         * render) whose render receives "slots", {slot name: [vnodes]}, and places them in its markup.
+         * The root layout is the active layout without parent, nested layouts are rendered in a slot of
+         * their parent and the views of the active states go to the "default" slot of the innermost layout.
          * @param {Component} layout Layout component instance
          * @param {List} automataActionMap List of automata.action forces the 
-         * the component view states changes
+         * the component view states changes, the layout is active on the matching transitions only (always when empty)
+         * @param {Object} options Contains:
+         * - parent: Name of the parent layout
+         * - slot: Slot of the parent layout, "default" by default
+         * - persistent: Keep the layout after a transition that doesn't match the map
          */
-        addLayout(layout, automataActionMap = []) {
-            let s = []
-            automataActionMap.forEach(m => {
-                s = this._extractStatePath(m)
-            })
+        addLayout(layout, automataActionMap = [], {
+            parent,
+            slot = "default",
+            persistent = false
+        } = {}) {
             this.layouts[layout.name] = {
                 layout,
-                statePath: s
+                statePath: this._extractStatePath(automataActionMap),
+                parent,
+                slot,
+                persistent
             }
         }
         /**
-         * Add a component instance to the list of components
+         * Add a component instance to the list of components, it's rendered in a slot of a layout on the
+         * transitions that match its map. A persistent component stays in its slot with its last vtree
+         * when a transition doesn't match, a non persistent one is removed.
          * @param {Component} component component instance
          * @param {List} automataStateMap List of automata.action forces the the component view states changes
+         * @param {Object} options Contains:
+         * - layout: Name of the layout, the root layout by default
+         * - slot: Slot of the layout, "default" by default
+         * - persistent: Keep the component and its vtree across transitions
          */
-        addComponent(component, automataStateMap = []) {
-            let s = []
-            automataStateMap.forEach(m => {
-                s = this._extractStatePath(m)
-            })
+        addComponent(component, automataStateMap = [], {
+            layout,
+            slot = "default",
+            persistent = false
+        } = {}) {
             this.components[component.name] = {
                 component,
-                statePath: s
+                statePath: this._extractStatePath(automataStateMap),
+                layout,
+                slot,
+                persistent
             }
         }
-        _extractStatePath(stateMapString) {
+        /**
+         * Turn a list of "automata.action" maps (every map may have several comma separated entries)
+         * into {automata: [actions]}, "*" matches any action
+         * @param {List|String} stateMaps Automata action maps
+         */
+        _extractStatePath(stateMaps = []) {
             let s = {}
-            stateMapString.split(',').forEach(m => {
-                let automata = m.split('.')[0]
-                let action = m.split('.')[1]
+            let maps = Array.isArray(stateMaps) ? stateMaps : [stateMaps]
+            maps.forEach(stateMapString => stateMapString.split(',').forEach(m => {
+                let [automata, action = "*"] = m.trim().split('.')
                 s[automata] = s[automata] || []
                 s[automata].push(action)
-            })
+            }))
             return s
         }
+        /**
+         * Check if the transition matches the given state path, an empty state path matches all
+         * @param {Object} statePath {automata: [actions]}
+         * @param {Object} transition {automata, delta}
+         */
+        _matches(statePath, {
+            automata,
+            delta = {}
+        }) {
+            if (!Object.keys(statePath).length)
+                return true
+            let instance = Appomata.getAutomata(automata)
+            let actions = statePath[automata] || (instance && statePath[instance.name]) || []
+            return actions.includes("*") || actions.includes(delta.action)
+        }
 
         /**
          * Render app by walking through layouts and components rendering. This is 
@@ -572,56 +2531,181 @@ let App = (() => {
          * - delta: {action, input}
          * - omega: {next, output, **transit**} the transit function will be
          * available for component to call it for the next action
+         * Without a transition the last transitions are rendered again
          */
-        render(transition = {}) {
-            let {
+        render(transition) {
+            let changed = []
+            if (transition) {
+                this.transitions[transition.automata] = transition
+                changed.push(transition)
+            }
+            this._patch(changed)
+        }
+        /**
+         * Render the last transition of every automata and patch the DOM with one diff
+         * @param {Array} changed Transitions that happened since the last render
+         */
+        _patch(changed) {
+            let newRootTree = this.renderTree(Object.values(this.transitions), changed)
+            this.eventBus.emit("beforeAppDiff", newRootTree)
+            const patches = diff(this.rootTree, newRootTree);
+            this.rootTree = newRootTree
+            this.eventBus.emit("beforeAppPatch", patches)
+            this.rootNode = patch(this.rootNode, patches);
+        }
+
+        /**
+         * Render the fallback of a view that failed, the view fallback first then the app fallback. When
+         * there is none or it fails too, a "div.view-error" with the error message is rendered
+         * @param {View} view The failed view
+         * @param {Object} error Thrown error
+         * @param {Object} data Render data of the view
+         */
+        _fallback(view, error, data) {
+            let fallbacks = [view.fallback, this.fallback].filter(f => typeof f === "function")
+            for (const fallback of fallbacks) {
+                try {
+                    return fallback({
+                        ...data,
+                        view: view.name,
+                        error
+                    })
+                } catch (e) {
+                    error = e
+                }
+            }
+            return h('div.view-error', {
+                attributes: {
+                    "data-view": view.name
+                }
+            }, String(error && error.message || error))
+        }
+
+        /**
+         * Render the layouts, components and views of the given transitions to the app virtual tree without
+         * touching the DOM, it's used by render and by server side rendering. Views of every transition are
+         * rendered (memoized views are reused), components and layouts are matched against the changed
+         * transitions only and stay as they are when nothing changed
+         * @param {Object|Array} transitions The last transition of every automata, see render
+         * @param {Array} changed Transitions that happened since the last render, all of them by default
+         */
+        renderTree(transitions = [], changed = transitions) {
+            transitions = Array.isArray(transitions) ? transitions : [transitions]
+            changed = Array.isArray(changed) ? changed : [changed]
+            let renderOne = (view, {
                 automata,
                 delta,
                 omega
-            } = transition;
-
-            let renderedViews = []
-            for (const view of omega.views) {
+            }, slots) => {
                 let viewRenderData = {
                     automata,
                     delta,
                     omega
                 }
-                appEventBus.emit("beforeAppViewRender", viewRenderData)
-                let vnode = view.render(viewRenderData)
-                appEventBus.emit("afterAppViewRender", vnode)
-
-                renderedViews.push(vnode)
+                if (slots)
+                    viewRenderData.slots = slots
+                this.eventBus.emit("beforeAppViewRender", viewRenderData)
+                let vnode
+                try {
+                    vnode = view.render(viewRenderData)
+                } catch (error) {
+                    // A failing view is replaced by its fallback, the rest of the app is rendered as usual
+                    this.eventBus.emit("appViewError", {
+                        view: view.name,
+                        automata,
+                        error
+                    })
+                    vnode = this._fallback(view, error, viewRenderData)
+                }
+                this.eventBus.emit("afterAppViewRender", vnode)
+                return vnode
             }
+            let matching = (statePath) => changed.find(transition => this._matches(statePath, transition))
+            let current = changed[changed.length - 1] || transitions[transitions.length - 1] || {}
 
+            let renderedViews = []
+            transitions.forEach(transition => transition.omega.views.forEach(view => {
+                renderedViews.push(renderOne(view, transition))
+            }))
 
+            // Components keep their vtree in componentsVTrees, persistent ones show it when they don't match
+            let components = {}
+            Object.entries(this.components).forEach(([name, entry]) => {
+                let transition = matching(entry.statePath)
+                if (transition)
+                    this.componentsVTrees[name] = renderOne(entry.component, transition)
+                else if (!entry.persistent && changed.length)
+                    delete this.componentsVTrees[name]
+                if (this.componentsVTrees[name])
+                    components[name] = this.componentsVTrees[name]
+            })
 
-            let newRootTree = h('div.app', renderedViews)
-            appEventBus.emit("beforeAppDiff", newRootTree)
-            const patches = diff(this.rootTree, newRootTree);
-            this.rootTree = newRootTree
-            appEventBus.emit("beforeAppPatch", patches)
-            this.rootNode = patch(this.rootNode, patches);
+            if (changed.length || !this.activeLayouts) {
+                this.activeLayouts = (this.activeLayouts || []).filter(name => this.layouts[name] && this.layouts[name].persistent)
+                Object.entries(this.layouts).forEach(([name, entry]) => {
+                    if (matching(entry.statePath) && !this.activeLayouts.includes(name))
+                        this.activeLayouts.push(name)
+                })
+            }
+            let active = Object.keys(this.layouts).filter(name => this.activeLayouts.includes(name))
+            let root = active.find(name => !this.layouts[name].parent)
+            let childrenOf = (name) => active.filter(child => this.layouts[child].parent === name)
+            if (!root)
+                return h('div.app', renderedViews.concat(Object.values(components)))
+
+            // The innermost layout is the first active one at the deepest nesting level
+            let innermost = root
+            let depthOf = {
+                [root]: 0
+            }
+            let walk = (name) => childrenOf(name).forEach(child => {
+                depthOf[child] = depthOf[name] + 1
+                if (depthOf[child] > depthOf[innermost])
+                    innermost = child
+                walk(child)
+            })
+            walk(root)
+
+            let renderLayout = (name) => {
+                let slots = {}
+                let place = (slot, vnode) => (slots[slot] = slots[slot] || []).push(vnode)
+                if (name === innermost)
+                    renderedViews.forEach(vnode => place("default", vnode))
+                childrenOf(name).forEach(child => place(this.layouts[child].slot, renderLayout(child)))
+                Object.entries(components).forEach(([component, vnode]) => {
+                    let entry = this.components[component]
+                    if ((entry.layout || root) === name)
+                        place(entry.slot, vnode)
+                })
+                return renderOne(this.layouts[name].layout, current, slots)
+            }
+            return h('div.app', [renderLayout(root)])
         }
 
         /**
-         * Mount the VDom od the app to the given DOM node
+         * Mount the VDom od the app to the given DOM node. When the node already contains the
+         * server rendered "div.app", the markup is adopted and the virtual tree is built from it
          * @param {DOM Node} rootElem Root of the app
          */
         mount(rootElem) {
-            appEventBus.emit("beforeAppMount", rootElem)
-            if (!this.rootTree) {
+            this.eventBus.emit("beforeAppMount", rootElem)
+            let rendered = !this.rootTree && Array.from(rootElem.childNodes || [])
+                .find(node => node.nodeType === 1 && node.classList.contains("app"))
+            if (rendered) {
+                this.rootNode = rendered
+                this.rootTree = virtualize(rendered)
+            } else if (!this.rootTree) {
                 this.rootTree = h('div.app')
                 this.rootNode = create(this.rootTree)
                 rootElem.appendChild(this.rootNode)
             }
-            appEventBus.emit("afterAppMount", this.rootTree)
+            this.eventBus.emit("afterAppMount", this.rootTree)
             return this
         }
 
         /**
          * Mount app instance to the given DOM element, connect app with given automatas,
-         * transit to "init" state of automata. 
+         * transit to "init" state of automata. A restored automata is rendered as it is, without running init.
          * @param {Array|String} automata List of automata names that app instance connects, these automatas must be created already with Appomata
          * @param {DOM Element} rootElement DOM physical element
          */
@@ -630,13 +2714,15 @@ let App = (() => {
 
             Appomata.connect({
                 app: this,
-                automatas: Array.isArray(automata) ? [automata.name] : [automata].map(a => a.name)
+                automatas: (Array.isArray(automata) ? automata : [automata]).map(a => a.id)
             })
 
-            return automata.transit({
-                input: "",
-                action
-            })
+            if (automata.restored) {
+                let transitionEvent = automata.current()
+                this.onTransition(transitionEvent)
+                return Promise.resolve(transitionEvent.omega)
+            }
+            return automata.transit(Appomata.createDelta(action, {}))
         }
     }
     return App;
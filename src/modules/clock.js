@@ -0,0 +1,72 @@
+/**
+ * Clocks drive delayed transitions and intervals of automatas. A clock is an object with
+ * {now, setTimeout, clearTimeout, setInterval, clearInterval}, so any timer source may be plugged in.
+ */
+
+/**
+ * The default clock that uses the real timers
+ */
+let systemClock = {
+    now: () => Date.now(),
+    setTimeout: (f, delay) => setTimeout(f, delay),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (f, interval) => setInterval(f, interval),
+    clearInterval: (id) => clearInterval(id)
+}
+
+/**
+ * Create a clock that only moves when it's told to, it's meant for tests to advance the time
+ * deterministically without waiting for real timers.
+ * - advance(ms): Move the time forward and call the due timers in order, returns a promise that resolves
+ *   when all of the values returned by called timers (like transitions) are resolved
+ * - pending(): Number of scheduled timers
+ * @param {Number} start Start time in milliseconds
+ */
+let createManualClock = (start = 0) => {
+    let time = start
+    let counter = 0
+    let timers = []
+
+    let schedule = (f, delay, interval) => {
+        let id = ++counter
+        timers.push({
+            id,
+            f,
+            at: time + Math.max(0, delay || 0),
+            interval
+        })
+        return id
+    }
+    let cancel = (id) => {
+        timers = timers.filter(t => t.id !== id)
+    }
+
+    return {
+        now: () => time,
+        setTimeout: (f, delay) => schedule(f, delay),
+        clearTimeout: cancel,
+        setInterval: (f, interval) => schedule(f, interval, Math.max(1, interval || 0)),
+        clearInterval: cancel,
+        pending: () => timers.length,
+        advance(ms = 0) {
+            let end = time + ms
+            let results = []
+            let next = () => timers.filter(t => t.at <= end).sort((a, b) => a.at - b.at || a.id - b.id)[0]
+            for (let timer = next(); timer; timer = next()) {
+                time = timer.at
+                if (timer.interval)
+                    timer.at += timer.interval
+                else
+                    cancel(timer.id)
+                results.push(timer.f())
+            }
+            time = end
+            return Promise.all(results)
+        }
+    }
+}
+
+export {
+    systemClock,
+    createManualClock
+}
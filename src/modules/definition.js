@@ -0,0 +1,449 @@
+/**
+ * Declarative automata definition. A definition is a plain object (JSON friendly as long
+ * as handlers are referenced by name) that describes the whole automata:
+ * {
+ *      name: "upload",
+ *      initial: "idle",
+ *      context: {},
+ *      buffer: {},
+ *      computed: { progress: "progressHandler" }, // values derived from the context, see Automata.defineComputed
+ *      views: ["status"], // views attached to every state
+ *      states: {
+ *          idle: {
+ *              views: ["picker"],
+ *              actions: {
+ *                  start: "uploading", // shorthand of { target: "uploading" }
+ *                  cancel: { target: "idle", run: "resetHandler", policy: "drop" }, // ignored while the automata is busy
+ *                  // candidates are checked in order, the first one with a passing guard is taken
+ *                  retry: [{ target: "uploading", guard: "hasFile" }, { target: "picking" }]
+ *              }
+ *          },
+ *          checkout: {
+ *              initial: "shipping", // by default the first child
+ *              onEntry: "loadCart", // hooks run on entering and exiting the state
+ *              onExit: "saveCart",
+ *              states: {
+ *                  shipping: { actions: { next: "payment" } }, // targets are resolved from siblings up to the top level
+ *                  payment: { actions: { back: "shipping" } },
+ *                  // entering "checkout.resume" restores the last active child of "checkout" (deep: the last atomic descendants)
+ *                  resume: { history: "shallow", target: "shipping" }
+ *              },
+ *              actions: { cancel: "idle" } // children that don't handle "cancel" bubble it up to here
+ *          },
+ *          editor: {
+ *              parallel: true, // all children are active at the same time, actions are offered to each of them
+ *              states: {
+ *                  mode: { states: { normal: { actions: { insert: "insert" } }, insert: { actions: { escape: "normal" } } } },
+ *                  network: { states: { online: { actions: { drop: "offline" } }, offline: { actions: { reconnect: "online" } } } }
+ *              }
+ *          },
+ *          loading: {
+ *              // services start on entry and stop on exit, their result, failure and progress are sent as actions
+ *              invoke: { id: "orders", src: "fetchOrders", done: "loaded", error: "loadFailed", progress: "orderArrived" },
+ *              actions: { loaded: "idle", loadFailed: "timedOut", orderArrived: { run: "addOrder" } }
+ *          },
+ *          saving: {
+ *              after: { 3000: "timedOut" }, // delayed transitions are scheduled on entry and cancelled on exit
+ *              onError: "timedOut", // failing actions of this state (and its substates) go to "timedOut" instead of "failed"
+ *              every: { 1000: "tick" }, // intervals dispatch the given action while the state is active
+ *              actions: {
+ *                  tick: { run: "showProgress" },
+ *                  saved: "done",
+ *                  flush: { target: "done", run: "flushHandler", retry: { attempts: 3, delay: 500 } } // runs again when it fails
+ *              }
+ *          },
+ *          timedOut: {
+ *              actions: {
+ *                  retry: "saving",
+ *                  // the input is checked before the action runs, an input without a name is "invalid"
+ *                  rename: { target: "saving", schema: { type: "object", required: ["name"], properties: { name: { type: "string" } } } }
+ *              }
+ *          },
+ *          done: { final: true }
+ *      }
+ * }
+ * States may be given as an object keyed by name or as a list of { name, ... } objects.
+ * Nested states are addressed by their path, like "checkout.shipping".
+ */
+
+/**
+ * Normalize one candidate transition of an action to {targets, guard, run}
+ * @param {String|Function|Object} transition Target name, action function or {target|targets, guard, run}
+ */
+let normalizeTransition = (transition) => {
+    if (typeof transition === "string")
+        transition = {
+            target: transition
+        }
+    else if (typeof transition === "function")
+        transition = {
+            run: transition
+        }
+    transition = transition || {}
+    return {
+        ...transition,
+        targets: transition.targets || (transition.target !== undefined ? [transition.target] : []),
+        guard: transition.guard,
+        run: transition.run
+    }
+}
+
+/**
+ * Normalize an action definition to {name, transitions, targets}, where transitions is the ordered list of
+ * candidates {targets, guard, run} and targets is the list of all declared targets of the action
+ * @param {String} name Action name
+ * @param {String|Function|Object|Array} action Target name, action function, {target|targets, guard, run, ...options},
+ * list of candidates or {transitions: [candidates], ...options}. Options are:
+ * - policy: What to do when the action arrives while the automata is busy, "queue" (default) waits for its turn,
+ *   "drop" ignores it and "latest" cancels the in-flight and queued deltas of the same action
+ * - onError: State to go to when the action fails, by default the onError of the state (or its ancestors) or "failed"
+ * - retry: Number of attempts or {attempts, delay, factor, maxDelay} to run a failing action again, waiting
+ *   delay * factor ^ (attempt - 1) milliseconds (at most maxDelay) on the automata clock between attempts
+ * - schema: Schema of the delta input, a delta that doesn't match it is "invalid" and the action doesn't run, see schema.js
+ */
+let normalizeAction = (name, action) => {
+    if (Array.isArray(action))
+        action = {
+            transitions: action
+        }
+    else if (action && typeof action === "object" && !action.transitions) {
+        // A single transition object carries the action options as well, like its policy
+        let {
+            target,
+            targets,
+            guard,
+            run,
+            ...options
+        } = action
+        action = {
+            ...options,
+            transitions: [action]
+        }
+    } else if (!action || !action.transitions)
+        action = {
+            transitions: [action]
+        }
+    let transitions = action.transitions.map(normalizeTransition)
+    let targets = []
+    transitions.forEach(t => t.targets.filter(target => !targets.includes(target)).forEach(target => targets.push(target)))
+    return {
+        ...action,
+        name,
+        transitions,
+        targets
+    }
+}
+
+/**
+ * Normalize the retry option of an action to {attempts, delay, factor, maxDelay}, a number is the attempts
+ * @param {Number|Object} retry Retry option
+ */
+let normalizeRetry = (retry = {}) => {
+    if (typeof retry === "number")
+        retry = {
+            attempts: retry
+        }
+    return {
+        attempts: 1,
+        delay: 0,
+        factor: 2,
+        maxDelay: Infinity,
+        ...retry
+    }
+}
+
+/**
+ * Turn delayed transitions of a state into actions named "after(delay)" that carry their delay, the automata
+ * schedules them on entering the state. Delayed transitions are given as {delay: action} or a list of
+ * {delay, target, guard, run}, several transitions with the same delay are candidates of one action.
+ * @param {Object|Array} after Delayed transitions
+ */
+let delayedActions = (after = {}) => {
+    let entries = Array.isArray(after) ? after.map(a => [a.delay, a]) : Object.entries(after)
+    let byDelay = {}
+    entries.forEach(([delay, action]) => {
+        byDelay[delay] = (byDelay[delay] || []).concat(action)
+    })
+    return Object.entries(byDelay).map(([delay, transitions]) => normalizeAction(`after(${delay})`, {
+        transitions,
+        delay: Number(delay)
+    }))
+}
+
+/**
+ * Normalize intervals of a state to a list of {interval, action, input}
+ * @param {Object|Array} every Intervals given as {interval: action name} or a list of {interval, action, input}
+ */
+let normalizeIntervals = (every = {}) => {
+    if (Array.isArray(every))
+        return every
+    return Object.entries(every).map(([interval, action]) => ({
+        interval: Number(interval),
+        ...(typeof action === "string" ? {
+            action
+        } : action)
+    }))
+}
+
+/**
+ * Normalize invoked services of a state to a list of {id, src, input, done, error, progress}. done, error and
+ * progress are the actions sent with the service result, its failure and the values it iterates
+ * @param {Object|Array|Function|String} invoke Service {id, src, ...}, a list of them or only the src
+ */
+let normalizeServices = (invoke = []) => [].concat(invoke).map((service, i) => {
+    if (!service || typeof service !== "object")
+        service = {
+            src: service
+        }
+    return {
+        ...service,
+        id: service.id || (typeof service.src === "string" ? service.src : `service${i}`),
+        input: service.input || {},
+        done: service.done || "done",
+        error: service.error || "error",
+        progress: service.progress || "progress"
+    }
+})
+
+/**
+ * Find the id of the state that the given target refers to from the source state. A target is looked up
+ * first as a sibling of the source, then as a sibling of every ancestor, then as a top-level state and
+ * finally as a child of the source. Full paths like "checkout.shipping" are found at the top-level step.
+ * @param {String} target Target name or path
+ * @param {String} source Id of the state that transition starts from
+ * @param {Function} has Returns true if there is a state with the given id
+ */
+let resolveTarget = (target, source = "", has) => {
+    let parts = source ? source.split('.') : []
+    for (let i = parts.length - 1; i >= 1; i--) {
+        let id = `${parts.slice(0, i).join('.')}.${target}`
+        if (has(id))
+            return id
+    }
+    if (has(target))
+        return target
+    if (source && has(`${source}.${target}`))
+        return `${source}.${target}`
+}
+
+/**
+ * Normalize a list or a map of state definitions recursively
+ * @param {Object|Array} states State definitions
+ */
+let normalizeStates = (states = []) => {
+    if (!Array.isArray(states))
+        states = Object.entries(states).map(([name, state]) => ({
+            ...state,
+            name
+        }))
+    return states.map(state => ({
+        ...state,
+        views: state.views || [],
+        actions: Object.entries(state.actions || {}).map(([name, action]) => normalizeAction(name, action)).concat(delayedActions(state.after)),
+        every: normalizeIntervals(state.every),
+        invoke: normalizeServices(state.invoke),
+        states: normalizeStates(state.states)
+    }))
+}
+
+/**
+ * Normalize a definition, so states and actions are always lists of objects
+ * @param {Object} definition Automata definition
+ */
+let normalizeDefinition = (definition = {}) => {
+    return {
+        ...definition,
+        context: definition.context || {},
+        buffer: definition.buffer || {},
+        views: definition.views || [],
+        states: normalizeStates(definition.states)
+    }
+}
+
+/**
+ * Flatten normalized states into a list, every state gets its "id" (path) and "parent" id
+ * @param {Array} states Normalized states
+ * @param {String} parent Id of the parent state
+ */
+let flattenStates = (states, parent = "") => {
+    let flat = []
+    states.forEach(state => {
+        let id = parent ? `${parent}.${state.name}` : state.name
+        flat.push({
+            ...state,
+            id,
+            parent
+        })
+        flat = flat.concat(flattenStates(state.states, id))
+    })
+    return flat
+}
+
+/**
+ * Statically check a definition before it's loaded and reports:
+ * - errors: missing initial state, duplicate state names, unknown targets
+ * - warnings: unreachable states, dead-end states (no action and not final), actions without declared target
+ * Every issue is {type, message, state, action, target}
+ * @param {Object} definition Automata definition
+ * @param {Object} options
+ * - builtins: List of state names that the automata provides itself (like "failed")
+ */
+let validateDefinition = (definition, {
+    builtins = ["failed"]
+} = {}) => {
+    let {
+        name,
+        initial,
+        states
+    } = normalizeDefinition(definition)
+    let errors = []
+    let warnings = []
+    let flat = flattenStates(states)
+    let byId = {}
+    let known = new Set(builtins)
+    let has = (id) => known.has(id)
+
+    if (!name)
+        errors.push({
+            type: "missingName",
+            message: "Automata name is not defined"
+        })
+
+    flat.forEach(state => {
+        if (byId[state.id])
+            errors.push({
+                type: "duplicateState",
+                state: state.id,
+                message: `State (${state.id}) is defined more than once`
+            })
+        byId[state.id] = byId[state.id] || state
+        known.add(state.id)
+    })
+
+    if (initial === undefined)
+        errors.push({
+            type: "missingInitial",
+            message: "Initial state is not defined"
+        })
+    else if (!known.has(initial))
+        errors.push({
+            type: "missingInitial",
+            state: initial,
+            message: `Initial state (${initial}) doesn't exist`
+        })
+
+    let pathOf = (state) => state.parent ? [state].concat(pathOf(byId[state.parent])) : [state]
+    let initialOf = (state) => {
+        let initial = state.initial !== undefined ? state.initial : (state.states.find(s => !s.history) || {}).name
+        return `${state.id}.${initial}`
+    }
+    flat.forEach(state => {
+        if (state.onError !== undefined && !resolveTarget(state.onError, state.id, has))
+            errors.push({
+                type: "unknownTarget",
+                state: state.id,
+                target: state.onError,
+                message: `Error target (${state.onError}) of state (${state.id}) is unknown`
+            })
+        if (state.history && state.target !== undefined && !resolveTarget(state.target, state.id, has))
+            errors.push({
+                type: "unknownTarget",
+                state: state.id,
+                target: state.target,
+                message: `History state (${state.id}) targets unknown state (${state.target})`
+            })
+        if (state.states.length && !state.parallel && state.initial !== undefined && !state.states.some(s => s.name === state.initial))
+            errors.push({
+                type: "missingInitial",
+                state: state.id,
+                message: `Initial state (${state.initial}) of state (${state.id}) is not one of its children`
+            })
+        if (!state.states.length && !state.final && !state.history && !pathOf(state).some(s => s.actions.length))
+            warnings.push({
+                type: "deadEnd",
+                state: state.id,
+                message: `State (${state.id}) has no action and is not final`
+            })
+        state.actions.forEach(action => {
+            if (!action.targets.length)
+                warnings.push({
+                    type: "undeclaredTarget",
+                    state: state.id,
+                    action: action.name,
+                    message: `Action (${action.name}) of state (${state.id}) doesn't declare its targets`
+                })
+            if (action.onError !== undefined && !resolveTarget(action.onError, state.id, has))
+                errors.push({
+                    type: "unknownTarget",
+                    state: state.id,
+                    action: action.name,
+                    target: action.onError,
+                    message: `Error target (${action.onError}) of action (${action.name}) of state (${state.id}) is unknown`
+                })
+            action.targets.filter(t => !resolveTarget(t, state.id, has)).forEach(target => {
+                errors.push({
+                    type: "unknownTarget",
+                    state: state.id,
+                    action: action.name,
+                    target,
+                    message: `Action (${action.name}) of state (${state.id}) targets unknown state (${target})`
+                })
+            })
+        })
+    })
+
+    if (known.has(initial)) {
+        let reached = new Set()
+        let queue = []
+        // Reaching a state means its ancestors and its initial children (all children for parallel states) are active too,
+        // reaching a history state means its default target is reached
+        let reach = (id) => {
+            let state = byId[id]
+            if (!state || reached.has(id))
+                return
+            reached.add(id)
+            queue.push(id)
+            reach(state.parent)
+            if (state.history)
+                reach(state.target !== undefined ? resolveTarget(state.target, state.id, has) :
+                    state.parent ? initialOf(byId[state.parent]) : initial)
+            else if (state.parallel)
+                state.states.filter(child => !child.history).forEach(child => reach(`${id}.${child.name}`))
+            else if (state.states.length)
+                reach(initialOf(state))
+        }
+        reach(initial)
+        while (queue.length) {
+            let state = byId[queue.shift()]
+            state.actions.forEach(a => a.targets.concat(a.onError !== undefined ? a.onError : []).forEach(t => reach(resolveTarget(t, state.id, has))))
+            if (state.onError !== undefined)
+                reach(resolveTarget(state.onError, state.id, has))
+        }
+        Object.keys(byId).filter(s => !reached.has(s)).forEach(state => {
+            warnings.push({
+                type: "unreachable",
+                state,
+                message: `State (${state}) is not reachable from initial state (${initial})`
+            })
+        })
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings
+    }
+}
+
+export {
+    delayedActions,
+    normalizeIntervals,
+    normalizeServices,
+    normalizeTransition,
+    normalizeAction,
+    normalizeRetry,
+    normalizeDefinition,
+    flattenStates,
+    resolveTarget,
+    validateDefinition
+}
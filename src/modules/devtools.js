@@ -0,0 +1,442 @@
+import {
+    h
+} from 'virtual-dom'
+import Appomata, {
+    App
+} from './Appomata'
+import {
+    createEventBus
+} from './events'
+import {
+    assert
+} from './helpers'
+
+/**
+ * Devtools. A monitor follows every registered automata (states, context, buffer, views and transitions),
+ * the inspector is a panel that shows it in the page and the bridge gives the same data to an external
+ * tool through postMessage:
+ *
+ * let inspector = createInspector() // the panel is added to document.body
+ * let disconnect = connectBridge({ monitor: inspector.monitor, target: window.parent, origin: "https://tool.example" })
+ *
+ * Bridge messages are {channel, type, payload}. The page posts "automata" (one automata changed),
+ * "removed" {id}, "transition" (a log entry), "automatas" {automatas, log} (the answer of "inspect") and
+ * "dispatched" {request, status, next, error}. The tool posts "inspect" and "dispatch" {request, automata, action, input}.
+ * Only the messages of the target window at the given origin are heard, and the page posts to that origin only.
+ */
+
+const CHANNEL = "appomata-devtools"
+
+/**
+ * JSON copy of a value, values that can't be copied are shown as strings
+ * @param {*} value Any value
+ */
+let copy = (value) => {
+    if (value === undefined)
+        return undefined
+    try {
+        return JSON.parse(JSON.stringify(value))
+    } catch (e) {
+        return String(value)
+    }
+}
+
+/**
+ * Describe an automata as plain data {id, name, now, active, status, context, buffer, views, parent, children}
+ * @param {Automata} automata Automata instance
+ */
+let describe = (automata) => ({
+    id: automata.id,
+    name: automata.name,
+    now: automata.now && automata.now.id,
+    active: automata.active.map(s => s.id),
+    status: automata.status,
+    context: copy(automata.context),
+    buffer: copy(automata.buffer),
+    views: automata._views().map(v => v.name),
+    parent: automata.parent,
+    children: Object.keys(automata.children)
+})
+
+/**
+ * Follow all registered automatas, the ones registered later too.
+ * Returns {automatas(), log, on(event, f), stop()}, its events are "automata", "removed" and "transition",
+ * log is the list of the last transitions {time, automata, action, input, from, next, status}
+ * @param {Object} options Contains:
+ * - limit: Number of transitions kept in the log
+ * - exclude: Ids of automatas that are not followed
+ */
+let createMonitor = ({
+    limit = 200,
+    exclude = []
+} = {}) => {
+    let bus = createEventBus()
+    let followed = {}
+    let stops = []
+    let monitor = {
+        log: [],
+        automatas: () => Object.keys(followed).map(id => describe(followed[id].automata)),
+        on: bus.on,
+        stop() {
+            stops.splice(0).forEach(stop => stop())
+            Object.keys(followed).forEach(unfollow)
+        }
+    }
+
+    let follow = (id) => {
+        let automata = Appomata.getAutomata(id)
+        if (!automata || followed[id] || exclude.includes(id))
+            return
+        let changed = () => bus.emit("automata", describe(automata))
+        followed[id] = {
+            automata,
+            stops: [
+                automata.on("afterTransition", ({
+                    delta,
+                    omega
+                }) => {
+                    let entry = {
+                        time: Date.now(),
+                        automata: id,
+                        action: delta.action,
+                        input: copy(delta.input),
+                        from: delta.from,
+                        next: omega.next,
+                        status: omega.status
+                    }
+                    monitor.log = monitor.log.concat(entry).slice(-limit)
+                    bus.emit("transition", entry)
+                    changed()
+                }),
+                automata.on("stateChanged", changed),
+                automata.on("statusChanged", changed),
+                automata.on("restored", changed)
+            ]
+        }
+        changed()
+    }
+    let unfollow = (id) => {
+        if (!followed[id])
+            return
+        followed[id].stops.forEach(stop => stop())
+        delete followed[id]
+        bus.emit("removed", {
+            id
+        })
+    }
+
+    Appomata.getAutomatas().forEach(a => follow(a.id))
+    stops.push(Appomata.on("registered", ({
+        id
+    }) => follow(id)))
+    stops.push(Appomata.on("destroyed", ({
+        id
+    }) => unfollow(id)))
+    return monitor
+}
+
+/**
+ * Send an action to an automata for the inspector and the bridge, input is JSON text or an object.
+ * Returns the promise of {status, next, error}
+ * @param {String} automata Automata id
+ * @param {String} action Action name
+ * @param {String|Object} input Action input
+ */
+let dispatch = (automata, action, input) => {
+    try {
+        let parsed = typeof input === "string" ? (input.trim() ? JSON.parse(input) : {}) : input || {}
+        return Appomata.send(automata, action, parsed).then(omega => ({
+            status: omega.status,
+            next: omega.next
+        }), e => ({
+            error: String(e && e.message || e)
+        }))
+    } catch (e) {
+        return Promise.resolve({
+            error: String(e && e.message || e)
+        })
+    }
+}
+
+const PANEL_STYLE = {
+    position: "fixed",
+    right: "8px",
+    bottom: "8px",
+    width: "420px",
+    maxHeight: "60vh",
+    overflow: "auto",
+    zIndex: "99999",
+    background: "#1e1e24",
+    color: "#e6e6e6",
+    font: "12px monospace",
+    padding: "8px",
+    borderRadius: "4px"
+}
+
+let json = (value) => h("pre", {
+    style: {
+        margin: "0 0 8px",
+        whiteSpace: "pre-wrap"
+    }
+}, JSON.stringify(value, null, 2))
+
+/**
+ * Inspector panel, context is the inspector automata context {automatas, selected, log, result}
+ */
+let renderPanel = ({
+    context,
+    transit
+}) => {
+    let selected = context.automatas.find(a => a.id === context.selected)
+    return h("div.appomata-inspector", {
+        style: PANEL_STYLE
+    }, [
+        h("div.header", [
+            h("b", "Appomata "),
+            h("button", {
+                onclick: () => transit({
+                    action: "clear"
+                })
+            }, "clear log"),
+            h("button", {
+                onclick: () => transit({
+                    action: "close"
+                })
+            }, "close")
+        ]),
+        h("div.automatas", context.automatas.map(a => h("button", {
+            className: a.id === context.selected ? "selected" : "",
+            style: {
+                fontWeight: a.id === context.selected ? "bold" : "normal"
+            },
+            onclick: () => transit({
+                action: "select",
+                input: {
+                    id: a.id
+                }
+            })
+        }, `${a.id}: ${a.now}${a.status.busy ? " (busy)" : ""}`))),
+        selected ? h("div.details", [
+            h("div", `active: ${selected.active.join(", ")}`),
+            h("div", `views: ${selected.views.join(", ") || "-"}`),
+            h("div", "context"),
+            json(selected.context),
+            h("div", "buffer"),
+            json(selected.buffer),
+            h("form.dispatch", {
+                onsubmit: (e) => {
+                    e.preventDefault()
+                    transit({
+                        action: "dispatch",
+                        input: {
+                            automata: selected.id,
+                            action: e.target.elements.deltaAction.value,
+                            input: e.target.elements.deltaInput.value
+                        }
+                    })
+                }
+            }, [
+                h("input", {
+                    name: "deltaAction",
+                    placeholder: "action"
+                }),
+                h("textarea", {
+                    name: "deltaInput",
+                    placeholder: "input as JSON"
+                }),
+                h("button", {
+                    type: "submit"
+                }, "dispatch")
+            ]),
+            context.result ? h("div.result", context.result.error ? `error: ${context.result.error}` :
+                `${context.result.status} -> ${context.result.next}`) : null
+        ]) : h("p", "Select an automata"),
+        h("ol.log", context.log.slice().reverse().map(entry => h("li", `${entry.automata}: ${entry.action} ${entry.from} -> ${entry.next} (${entry.status})`)))
+    ])
+}
+
+/**
+ * Closed inspector, a button that opens it again
+ */
+let renderButton = ({
+    transit
+}) => h("button.appomata-inspector", {
+    style: {
+        ...PANEL_STYLE,
+        width: "auto"
+    },
+    onclick: () => transit({
+        action: "open"
+    })
+}, "Appomata")
+
+/**
+ * Create the inspector panel, it's an app of its own automata and views
+ * Returns {automata, app, monitor, stop()}
+ * @param {Object} options Contains:
+ * - id: Id of the inspector automata, its views are named after it
+ * - element: Element the panel is rendered into, a new element in document.body by default
+ * - limit: Number of transitions kept in the log
+ */
+let createInspector = ({
+    id = "$inspector",
+    element,
+    limit = 200
+} = {}) => {
+    let panel = Appomata.getView(id) || Appomata.createView({
+        name: id,
+        render: renderPanel
+    })
+    let button = Appomata.getView(`${id}.closed`) || Appomata.createView({
+        name: `${id}.closed`,
+        render: renderButton
+    })
+    let automata = Appomata.load({
+        name: id,
+        initial: "open",
+        context: {
+            automatas: [],
+            selected: null,
+            log: [],
+            result: null
+        },
+        states: {
+            open: {
+                views: [panel],
+                actions: {
+                    init: {
+                        run: () => {}
+                    },
+                    select: {
+                        run: ({
+                            input,
+                            context
+                        }) => {
+                            context.selected = input.id
+                            context.result = null
+                        }
+                    },
+                    dispatch: {
+                        run: async ({
+                            input,
+                            context
+                        }) => {
+                            context.result = await dispatch(input.automata, input.action, input.input)
+                        }
+                    },
+                    clear: {
+                        run: ({
+                            context
+                        }) => {
+                            context.log = []
+                        }
+                    },
+                    close: "closed"
+                }
+            },
+            closed: {
+                views: [button],
+                actions: {
+                    open: "open"
+                }
+            }
+        }
+    })
+
+    let monitor = createMonitor({
+        limit,
+        exclude: [id]
+    })
+    let refresh = () => automata.context.automatas = monitor.automatas()
+    let stops = [
+        monitor.on("automata", refresh),
+        monitor.on("removed", refresh),
+        monitor.on("transition", () => automata.context.log = monitor.log)
+    ]
+    refresh()
+
+    if (!element) {
+        element = document.createElement("div")
+        document.body.appendChild(element)
+    }
+    let app = new App(id)
+    app.run(automata, element)
+
+    return {
+        automata,
+        app,
+        monitor,
+        stop() {
+            stops.forEach(stop => stop())
+            monitor.stop()
+            Appomata.destroyAutomata(id)
+            if (app.rootNode && app.rootNode.parentNode)
+                app.rootNode.parentNode.removeChild(app.rootNode)
+        }
+    }
+}
+
+/**
+ * Connect a monitor to an external tool through postMessage, see the top of this module for the messages.
+ * Returns the function that disconnects it
+ * @param {Object} options Contains:
+ * - monitor: Monitor to share, a new one by default
+ * - target: Window of the tool, the messages are posted to it and only its messages are heard, like window.parent
+ * - source: Window the messages of the tool are received from, window by default
+ * - origin: Origin of the tool (required, "*" is not allowed), messages from other origins are ignored
+ * - channel: Channel name, messages of other channels are ignored
+ */
+let connectBridge = ({
+    monitor,
+    target = window.parent,
+    source = window,
+    origin,
+    channel = CHANNEL
+} = {}) => {
+    assert(origin && origin !== "*", "The bridge needs the origin of the tool")
+    let owned = !monitor
+    monitor = monitor || createMonitor()
+    let post = (type, payload) => target.postMessage({
+        channel,
+        type,
+        payload: copy(payload)
+    }, origin)
+    let stops = ["automata", "removed", "transition"].map(type => monitor.on(type, payload => post(type, payload)))
+    let listener = (event) => {
+        let data = event.data
+        if (event.origin !== origin || event.source !== target || !data || data.channel !== channel)
+            return
+        if (data.type === "inspect")
+            post("automatas", {
+                automatas: monitor.automatas(),
+                log: monitor.log
+            })
+        else if (data.type === "dispatch") {
+            let {
+                request,
+                automata,
+                action,
+                input
+            } = data.payload || {}
+            dispatch(automata, action, input).then(result => post("dispatched", {
+                request,
+                ...result
+            }))
+        }
+    }
+    source.addEventListener("message", listener)
+    return () => {
+        stops.forEach(stop => stop())
+        source.removeEventListener("message", listener)
+        if (owned)
+            monitor.stop()
+    }
+}
+
+export {
+    CHANNEL,
+    describe,
+    createMonitor,
+    createInspector,
+    connectBridge
+}
@@ -0,0 +1,235 @@
+import {
+    resolveTarget
+} from './definition'
+
+/**
+ * Export an automata as state diagrams for reviewing flows: Graphviz DOT and Mermaid stateDiagram.
+ * Both exporters draw states (nested and parallel ones as clusters), declared action targets as edges,
+ * attached views, the initial and final states and optionally the active states and a recorded path.
+ */
+
+/**
+ * Walk an automata and collect its states and the edges of declared action targets
+ * Every edge is {source, action, target, guarded}, target is undefined when it can't be resolved
+ * @param {Automata} automata Automata instance
+ */
+let graphOf = (automata) => {
+    let states = Object.values(automata.states)
+    let has = (id) => !!automata.states[id]
+    let edges = []
+    states.forEach(state => Object.values(state.actions).forEach(action => {
+        action.transitions.forEach(transition => transition.targets.forEach(target => {
+            edges.push({
+                source: state.id,
+                action: action.name,
+                target: target === automata.rootHistory.name ? target : resolveTarget(target, state.id, has),
+                label: target,
+                guarded: !!transition.guard
+            })
+        }))
+    }))
+    return {
+        roots: states.filter(s => !s.parent),
+        edges
+    }
+}
+
+/**
+ * Turn a recorded path into a list of {from, action, next}, it accepts a journal, its entries,
+ * its toJSON() form or a list of {from, action, next}
+ * @param {Object|Array} path Recorded path
+ */
+let stepsOf = (path = []) => {
+    let entries = Array.isArray(path) ? path : path.entries || []
+    return entries.map(e => e.delta ? {
+        from: e.delta.from,
+        action: e.delta.action,
+        next: e.omega.next
+    } : e)
+}
+
+/**
+ * Return the numbers (1 based) of the path steps that went through the given edge
+ * @param {Automata} automata Automata instance
+ * @param {Object} edge Edge {source, action, target}
+ * @param {Array} steps Path steps {from, action, next}
+ */
+let stepsThrough = (automata, edge, steps) => {
+    let numbers = []
+    steps.forEach((step, i) => {
+        let from = automata.states[step.from]
+        let fromSource = step.from === edge.source || (from && from.isDescendantOf(automata.states[edge.source]))
+        let next = resolveTarget(step.next, edge.source, (id) => !!automata.states[id])
+        if (step.action === edge.action && fromSource && (next === edge.target || step.next === edge.target))
+            numbers.push(i + 1)
+    })
+    return numbers
+}
+
+let viewsOf = (state) => Object.keys(state.views)
+
+let guardLabel = (edge) => edge.guarded ? `${edge.action} [guard]` : edge.action
+
+/**
+ * Graphviz DOT text of the automata
+ * @param {Automata} automata Automata instance
+ * @param {Object} options Contains:
+ * - active: Highlight the active states, true by default
+ * - path: Recorded path to highlight (a journal or list of {from, action, next})
+ */
+let toDot = (automata, {
+    active = true,
+    path = []
+} = {}) => {
+    let {
+        roots,
+        edges
+    } = graphOf(automata)
+    let steps = stepsOf(path)
+    let quote = (text) => `"${String(text).replace(/"/g, '\\"')}"`
+    let lines = [`digraph ${quote(automata.name)} {`, `    compound=true;`, `    node [shape=box, style=rounded];`]
+
+    let node = (state, indent) => {
+        let label = state.history ? (state.history === "deep" ? "H*" : "H") : state.name
+        let views = viewsOf(state)
+        if (views.length)
+            label += `\\nviews: ${views.join(", ")}`
+        let attributes = [`label=${quote(label)}`]
+        if (state.history)
+            attributes.push("shape=circle")
+        else if (state.final)
+            attributes.push("peripheries=2")
+        if (active && automata.active.includes(state))
+            attributes.push(`style="rounded,filled"`, `fillcolor="#ffe08a"`)
+        lines.push(`${indent}${quote(state.id)} [${attributes.join(", ")}];`)
+    }
+    let initial = (state, target, indent) => {
+        let start = state ? `${state.id}.__initial` : "__initial"
+        lines.push(`${indent}${quote(start)} [shape=point, label=""];`)
+        lines.push(`${indent}${quote(start)} -> ${quote(target.id)};`)
+    }
+    let walk = (state, indent) => {
+        if (!state.isCompound)
+            return node(state, indent)
+        lines.push(`${indent}subgraph ${quote(`cluster_${state.id}`)} {`)
+        let label = state.name + (viewsOf(state).length ? `\\nviews: ${viewsOf(state).join(", ")}` : "")
+        lines.push(`${indent}    label=${quote(label)};`)
+        lines.push(`${indent}    style=${state.parallel ? "dashed" : "rounded"};`)
+        if (active && automata.active.includes(state))
+            lines.push(`${indent}    color="#e0a800";`)
+        if (!state.parallel)
+            initial(state, state.initialChild, `${indent}    `)
+        Object.values(state.children).forEach(child => walk(child, `${indent}    `))
+        lines.push(`${indent}}`)
+    }
+    roots.forEach(state => walk(state, "    "))
+    if (automata.states[automata.initialState])
+        initial(null, automata.states[automata.initialState], "    ")
+
+    // Edges from or to compound states are drawn to one of their atomic states and clipped at the cluster
+    let anchor = (id) => {
+        let state = automata.states[id]
+        while (state && state.isCompound)
+            state = state.initialChild || state.substates[0]
+        return state ? state.id : id
+    }
+    let unknown = new Set()
+    edges.forEach(edge => {
+        let target = edge.target || edge.label
+        if (!automata.states[target] && !unknown.has(target) && unknown.add(target))
+            lines.push(`    ${quote(target)} [label=${quote(target === automata.rootHistory.name ? "H*" : target)}, shape=${target === automata.rootHistory.name ? "circle" : "box, style=dashed"}];`)
+        let attributes = [`label=${quote(guardLabel(edge))}`]
+        if (automata.states[edge.source] && automata.states[edge.source].isCompound)
+            attributes.push(`ltail=${quote(`cluster_${edge.source}`)}`)
+        if (automata.states[target] && automata.states[target].isCompound)
+            attributes.push(`lhead=${quote(`cluster_${target}`)}`)
+        let numbers = stepsThrough(automata, edge, steps)
+        if (numbers.length)
+            attributes.push(`color="#d9534f"`, "penwidth=2", `xlabel=${quote(numbers.join(","))}`)
+        lines.push(`    ${quote(anchor(edge.source))} -> ${quote(anchor(target))} [${attributes.join(", ")}];`)
+    })
+    lines.push("}")
+    return lines.join("\n")
+}
+
+/**
+ * Mermaid stateDiagram-v2 text of the automata. Mermaid doesn't style single transitions, so the
+ * recorded path marks the visited states and adds the step numbers to the transition labels.
+ * @param {Automata} automata Automata instance
+ * @param {Object} options Contains:
+ * - active: Highlight the active states, true by default
+ * - path: Recorded path to highlight (a journal or list of {from, action, next})
+ */
+let toMermaid = (automata, {
+    active = true,
+    path = []
+} = {}) => {
+    let {
+        roots,
+        edges
+    } = graphOf(automata)
+    let steps = stepsOf(path)
+    let idOf = (id) => id.replace(/[^\w]/g, "_")
+    let lines = ["stateDiagram-v2"]
+    let notes = []
+
+    let walk = (state, indent) => {
+        let id = idOf(state.id)
+        let label = state.history ? (state.history === "deep" ? "H*" : "H") : state.name
+        lines.push(`${indent}state "${label}" as ${id}`)
+        if (viewsOf(state).length)
+            notes.push(`    note right of ${id} : views: ${viewsOf(state).join(", ")}`)
+        if (state.final)
+            notes.push(`    ${id} --> [*]`)
+        if (!state.isCompound)
+            return
+        lines.push(`${indent}state ${id} {`)
+        if (state.parallel) {
+            state.substates.forEach((region, i) => {
+                if (i)
+                    lines.push(`${indent}    --`)
+                walk(region, `${indent}    `)
+            })
+        } else {
+            lines.push(`${indent}    [*] --> ${idOf(state.initialChild.id)}`)
+            Object.values(state.children).forEach(child => walk(child, `${indent}    `))
+        }
+        lines.push(`${indent}}`)
+    }
+    if (automata.states[automata.initialState])
+        lines.push(`    [*] --> ${idOf(automata.initialState)}`)
+    roots.forEach(state => walk(state, "    "))
+
+    let unknown = new Set()
+    edges.forEach(edge => {
+        let target = edge.target || edge.label
+        if (!automata.states[target] && !unknown.has(target) && unknown.add(target))
+            lines.push(`    state "${target === automata.rootHistory.name ? "H*" : target}" as ${idOf(target)}`)
+        let numbers = stepsThrough(automata, edge, steps)
+        let label = guardLabel(edge) + (numbers.length ? ` (${numbers.join(",")})` : "")
+        lines.push(`    ${idOf(edge.source)} --> ${idOf(target)} : ${label}`)
+    })
+    lines.push(...notes)
+
+    let visited = new Set()
+    steps.forEach(step => {
+        visited.add(step.from)
+        let next = resolveTarget(step.next, step.from, (id) => !!automata.states[id])
+        if (next)
+            visited.add(next)
+    })
+    if (visited.size) {
+        lines.push("    classDef visited stroke:#d9534f,stroke-width:2px")
+        visited.forEach(id => lines.push(`    class ${idOf(id)} visited`))
+    }
+    if (active && automata.active.length) {
+        lines.push("    classDef active fill:#ffe08a")
+        automata.active.filter(s => !s.isCompound).forEach(s => lines.push(`    class ${idOf(s.id)} active`))
+    }
+    return lines.join("\n")
+}
+
+export {
+    toDot,
+    toMermaid
+}
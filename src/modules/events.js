@@ -0,0 +1,132 @@
+/**
+ * Event bus of automatas, apps and Appomata. Every instance owns its bus, so listeners of one automata
+ * never hear another one. Event names may be namespaced like "transition:after" and listened to with
+ * wildcards: "transition:*" hears every event of the namespace and "*" hears every event.
+ * Aliases map the older names to namespaced ones, so "afterTransition" and "transition:after" are the same event.
+ *
+ * let off = automata.on("transition:*", (event, name) => console.log(name, event.delta.action))
+ * automata.once("restored", (transition) => render(transition))
+ * off()
+ *
+ * A listener that throws doesn't stop the other listeners nor the code that emitted the event, its error is
+ * given to the "error" listeners (or logged when there is none). emit() returns a promise that resolves when
+ * the async listeners are done.
+ */
+
+/**
+ * Namespaced names of the automata events
+ */
+const AUTOMATA_EVENTS = {
+    beforeTransition: "transition:before",
+    afterTransition: "transition:after",
+    dataTransition: "transition:data",
+    rejectedTransition: "transition:rejected",
+    invalidTransition: "transition:invalid",
+    failedTransition: "transition:failed",
+    retryTransition: "transition:retry",
+    droppedTransition: "transition:dropped",
+    cancelledTransition: "transition:cancelled",
+    vetoedTransition: "transition:vetoed",
+    statusChanged: "status:changed",
+    stateChanged: "context:changed",
+    restored: "state:restored",
+    undeliveredMessage: "message:undelivered"
+}
+
+/**
+ * Namespaced names of the app events, "beforAppRender" is kept for the listeners of its old spelling
+ */
+const APP_EVENTS = {
+    beforAppRender: "render:before",
+    beforeAppRender: "render:before",
+    afterAppRender: "render:after",
+    beforeAppDiff: "render:diff",
+    beforeAppPatch: "render:patch",
+    beforeAppViewRender: "view:before",
+    afterAppViewRender: "view:after",
+    appViewError: "view:error",
+    beforeAppMount: "mount:before",
+    afterAppMount: "mount:after"
+}
+
+/**
+ * Check if the event name matches the listened pattern
+ * @param {String} pattern Listened name, "*" or "namespace:*"
+ * @param {String} name Emitted name
+ */
+let matches = (pattern, name) => pattern === name || pattern === "*" ||
+    (pattern.slice(-2) === ":*" && name.indexOf(pattern.slice(0, -1)) === 0)
+
+/**
+ * Create an event bus, it has:
+ * - on(event, f), once(event, f): Add a listener called with (data, name), they return the function that removes it
+ * - off(event, f): Remove the listener of the event, or all of its listeners when f is not given
+ * - emit(event, data): Call the listeners in the order they were added
+ * - listeners(event): Number of listeners that hear the event
+ * @param {Object} options Contains:
+ * - aliases: Older event names and their namespaced names {afterTransition: "transition:after"}
+ * - onError: Called with (error, {event, data}) when a listener fails, by default the error is emitted as "error"
+ */
+let createEventBus = ({
+    aliases = {},
+    onError
+} = {}) => {
+    let listeners = []
+    let nameOf = (event) => aliases[event] || event
+
+    let fail = (error, event, data) => {
+        if (onError)
+            return onError(error, {
+                event,
+                data
+            })
+        if (event !== "error" && listeners.some(l => matches(l.pattern, "error") && l.pattern !== "*"))
+            return bus.emit("error", {
+                error,
+                event,
+                data
+            })
+        console.error(`Listener of ${event} failed`, error)
+    }
+
+    let bus = {
+        on(event, f, once = false) {
+            let listener = {
+                pattern: nameOf(event),
+                f,
+                once
+            }
+            listeners.push(listener)
+            return () => listeners = listeners.filter(l => l !== listener)
+        },
+        once: (event, f) => bus.on(event, f, true),
+        off(event, f) {
+            let pattern = nameOf(event)
+            listeners = listeners.filter(l => l.pattern !== pattern || (f !== undefined && l.f !== f))
+        },
+        emit(event, data) {
+            let name = nameOf(event)
+            let called = listeners.filter(l => matches(l.pattern, name))
+            listeners = listeners.filter(l => !(l.once && called.includes(l)))
+            return Promise.all(called.map(({
+                f
+            }) => {
+                try {
+                    let result = f(data, name)
+                    return result && typeof result.then === "function" ?
+                        Promise.resolve(result).catch(error => fail(error, name, data)) : result
+                } catch (error) {
+                    return fail(error, name, data)
+                }
+            }))
+        },
+        listeners: (event) => listeners.filter(l => matches(l.pattern, nameOf(event))).length
+    }
+    return bus
+}
+
+export {
+    AUTOMATA_EVENTS,
+    APP_EVENTS,
+    createEventBus
+}
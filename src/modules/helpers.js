@@ -0,0 +1,17 @@
+/**
+ * Small helpers shared by the modules
+ */
+
+/**
+ * Throw the message when the condition doesn't hold
+ * @param {Boolean} condition Condition that must hold
+ * @param {String} message Error message
+ */
+let assert = (condition, message) => {
+    if (!condition)
+        throw message
+}
+
+export {
+    assert
+}
@@ -0,0 +1,122 @@
+import {
+    h
+} from 'virtual-dom'
+
+/**
+ * Conversions between virtual-dom trees and HTML: renderToString turns a tree into markup on the
+ * server and virtualize builds the tree back from the DOM on the client, so the markup is adopted
+ * instead of being created again.
+ */
+
+const VOID_ELEMENTS = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]
+
+const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml"
+
+let escapeText = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+
+let escapeAttribute = (text) => escapeText(text).replace(/"/g, "&quot;")
+
+let kebab = (name) => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)
+
+let camel = (name) => name.replace(/-([a-z])/g, (m, c) => c.toUpperCase())
+
+/**
+ * HTML attributes of virtual node properties. Event handlers and hooks only live in the browser, so
+ * functions and objects other than attributes, style and dataset are left out.
+ * @param {Object} properties VNode properties
+ */
+let attributesOf = (properties = {}) => {
+    let attributes = []
+    let add = (name, value) => {
+        if (value === undefined || value === null || value === false)
+            return
+        attributes.push(value === true ? name : `${name}="${escapeAttribute(value)}"`)
+    }
+    Object.entries(properties).forEach(([name, value]) => {
+        // h() wraps the value of inputs in a hook that sets it softly, the wrapped value is rendered
+        if (value && typeof value.hook === "function" && "value" in value)
+            value = value.value
+        if (name === "attributes")
+            return Object.entries(value || {}).forEach(([n, v]) => add(n, v))
+        if (name === "style" && value && typeof value === "object")
+            return add("style", Object.entries(value).map(([k, v]) => `${kebab(k)}: ${v}`).join("; "))
+        if (name === "dataset" && value && typeof value === "object")
+            return Object.entries(value).forEach(([k, v]) => add(`data-${kebab(k)}`, v))
+        if (name === "innerHTML" || name === "key" || name === "namespace" || typeof value === "function" || (value && typeof value === "object"))
+            return
+        add(name === "className" ? "class" : name === "htmlFor" ? "for" : name, value)
+    })
+    return attributes.length ? ` ${attributes.join(" ")}` : ""
+}
+
+/**
+ * Render a virtual-dom tree to an HTML string, it runs in Node as well as in browsers
+ * @param {VNode} vnode Virtual node, text or thunk
+ */
+let renderToString = (vnode) => {
+    if (vnode === undefined || vnode === null || vnode === false)
+        return ""
+    if (typeof vnode === "string" || typeof vnode === "number")
+        return escapeText(vnode)
+    if (vnode.type === "VirtualText")
+        return escapeText(vnode.text)
+    if (vnode.type === "Thunk")
+        return renderToString(vnode.render(null))
+    if (vnode.type !== "VirtualNode")
+        // Widgets manage their own DOM, they are created on the client
+        return ""
+    let tag = vnode.namespace ? vnode.tagName : vnode.tagName.toLowerCase()
+    let open = `<${tag}${attributesOf(vnode.properties)}>`
+    if (VOID_ELEMENTS.includes(tag))
+        return open
+    let content = vnode.properties && vnode.properties.innerHTML !== undefined ? vnode.properties.innerHTML :
+        (vnode.children || []).map(renderToString).join("")
+    return `${open}${content}</${tag}>`
+}
+
+/**
+ * Build a virtual-dom tree from a DOM node, the class, id, style and value of elements become
+ * properties like the ones given to h() and the other attributes become "attributes"
+ * @param {Node} node DOM node
+ */
+let virtualize = (node) => {
+    if (node.nodeType === 3)
+        return node.nodeValue
+    if (node.nodeType !== 1)
+        return null
+    let properties = {}
+    let attributes = {}
+    Array.from(node.attributes).forEach(({
+        name,
+        value
+    }) => {
+        if (name === "class")
+            properties.className = value
+        else if (name === "id")
+            properties.id = value
+        else if (name === "style")
+            properties.style = value.split(";").filter(r => r.trim()).reduce((style, rule) => {
+                let [key, ...rest] = rule.split(":")
+                style[camel(key.trim())] = rest.join(":").trim()
+                return style
+            }, {})
+        else
+            attributes[name] = value
+    })
+    if (Object.keys(attributes).length)
+        properties.attributes = attributes
+    if (node.value !== undefined && ["INPUT", "TEXTAREA", "SELECT"].includes(node.tagName))
+        properties.value = node.value
+    if (node.namespaceURI && node.namespaceURI !== HTML_NAMESPACE)
+        properties.namespace = node.namespaceURI
+    let children = Array.from(node.childNodes).map(virtualize).filter(c => c !== null)
+    return h(properties.namespace ? node.tagName : node.tagName.toLowerCase(), properties, children)
+}
+
+export {
+    renderToString,
+    virtualize
+}
@@ -0,0 +1,216 @@
+import Appomata from './Appomata'
+
+/**
+ * Transition journal. It records every transition of an automata with the delta, the resulting omega,
+ * the context diff and the snapshots before and after it. The journal is able to travel back and forth
+ * through the recorded states (connected apps render every step) and to be replayed against a fresh
+ * automata to reproduce a bug report.
+ */
+
+const JOURNAL_VERSION = 1
+
+let copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+/**
+ * Compare two JSON values and return the list of changes {path, type, before, after}, type is one of
+ * "add", "remove" or "change" and path is dot separated like "cart.items.0"
+ * @param {Any} before Value before
+ * @param {Any} after Value after
+ * @param {String} path Path of the compared values
+ */
+let diffContext = (before, after, path = "") => {
+    let isObject = (v) => v !== null && typeof v === "object"
+    if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+        // Keys are sorted so the same changes always make the same diff
+        let keys = Object.keys(before).concat(Object.keys(after).filter(k => !(k in before))).sort()
+        return keys.reduce((changes, key) => {
+            let keyPath = path ? `${path}.${key}` : key
+            if (!(key in after))
+                return changes.concat({
+                    path: keyPath,
+                    type: "remove",
+                    before: before[key]
+                })
+            if (!(key in before))
+                return changes.concat({
+                    path: keyPath,
+                    type: "add",
+                    after: after[key]
+                })
+            return changes.concat(diffContext(before[key], after[key], keyPath))
+        }, [])
+    }
+    if (JSON.stringify(before) === JSON.stringify(after))
+        return []
+    return [{
+        path,
+        type: "change",
+        before,
+        after
+    }]
+}
+
+/**
+ * Start recording the transitions of the given automata
+ * Returns the journal {entries, cursor, back, forward, goTo, toJSON, clear, stop}
+ * @param {Automata} automata Automata instance
+ * @param {Object} options Contains:
+ * - limit: Maximum number of kept entries, the oldest ones are forgotten first (0 for no limit)
+ */
+let createJournal = (automata, {
+    limit = 0
+} = {}) => {
+    let recording = true
+    let before = null
+    let start = automata.snapshot()
+
+    let journal = {
+        entries: [],
+        // Number of entries the automata is at, it's less than entries.length after traveling back
+        cursor: 0,
+
+        /**
+         * Restore the automata to the state after the given number of entries, 0 is before the first entry
+         * @param {Number} position Position in the journal
+         */
+        goTo(position) {
+            position = Math.max(0, Math.min(position, this.entries.length))
+            let snapshot = position === 0 ? start : this.entries[position - 1].after
+            this.cursor = position
+            automata.restore(snapshot)
+            return this.entries[position - 1]
+        },
+        back() {
+            return this.goTo(this.cursor - 1)
+        },
+        forward() {
+            return this.goTo(this.cursor + 1)
+        },
+        /**
+         * Serializable form of the journal to be attached to a bug report and replayed later
+         */
+        toJSON() {
+            return {
+                version: JOURNAL_VERSION,
+                automata: automata.name,
+                start,
+                entries: this.entries.map(({
+                    delta,
+                    omega,
+                    diff,
+                    time
+                }) => ({
+                    delta,
+                    omega,
+                    diff,
+                    time
+                }))
+            }
+        },
+        clear() {
+            this.entries = []
+            this.cursor = 0
+            start = automata.snapshot()
+        },
+        stop() {
+            recording = false
+        }
+    }
+
+    automata.on("beforeTransition", () => {
+        if (recording)
+            before = automata.snapshot()
+    })
+    automata.on("afterTransition", ({
+        delta,
+        omega
+    }) => {
+        if (!recording || !before)
+            return
+        // A new transition after traveling back forgets the entries ahead
+        if (journal.cursor < journal.entries.length)
+            journal.entries = journal.entries.slice(0, journal.cursor)
+        let after = automata.snapshot()
+        let {
+            context,
+            buffer,
+            ...output
+        } = omega.output || {}
+        journal.entries.push({
+            delta: copy({
+                action: delta.action,
+                input: delta.input,
+                from: delta.from
+            }),
+            omega: copy({
+                next: omega.next,
+                status: omega.status,
+                output
+            }),
+            diff: diffContext(before.context, after.context),
+            before,
+            after,
+            time: after.time
+        })
+        if (limit && journal.entries.length > limit) {
+            start = journal.entries[journal.entries.length - limit - 1].after
+            journal.entries = journal.entries.slice(-limit)
+        }
+        journal.cursor = journal.entries.length
+        before = null
+    })
+
+    return journal
+}
+
+/**
+ * Replay a recorded journal against an automata, usually a fresh one. The automata is restored to the
+ * journal start first, then every recorded delta is sent in order and the reached states and context
+ * are compared with the recorded ones.
+ * Returns a promise of {steps, mismatches}, every mismatch is {index, delta, expected, actual}
+ * @param {Automata} automata Automata instance
+ * @param {Object} recorded Journal made by journal.toJSON()
+ * @param {Object} options Contains:
+ * - restore: Restore the automata to the journal start before replaying, true by default
+ */
+let replay = async (automata, recorded, {
+    restore = true
+} = {}) => {
+    if (restore && recorded.start)
+        automata.restore(recorded.start)
+    let mismatches = []
+    let context = automata.snapshot().context
+    for (const [index, entry] of recorded.entries.entries()) {
+        let omega = await automata.transit(Appomata.createDelta(entry.delta.action, entry.delta.input))
+        let after = automata.snapshot()
+        let expectedDiff = JSON.stringify(entry.diff)
+        let actualDiff = JSON.stringify(diffContext(context, after.context))
+        if (omega.next !== entry.omega.next || omega.status !== entry.omega.status || expectedDiff !== actualDiff)
+            mismatches.push({
+                index,
+                delta: entry.delta,
+                expected: {
+                    next: entry.omega.next,
+                    status: entry.omega.status,
+                    diff: entry.diff
+                },
+                actual: {
+                    next: omega.next,
+                    status: omega.status,
+                    diff: JSON.parse(actualDiff)
+                }
+            })
+        context = after.context
+    }
+    return {
+        steps: recorded.entries.length,
+        mismatches
+    }
+}
+
+export {
+    JOURNAL_VERSION,
+    diffContext,
+    createJournal,
+    replay
+}
@@ -0,0 +1,99 @@
+import {
+    assert
+} from './helpers'
+
+/**
+ * Transition middleware and plugins. A middleware wraps the processing of every delta of an automata,
+ * the ones used on Appomata run for every automata before the ones used on the automata itself:
+ *
+ * automata.use(async ({ automata, delta }, next) => {
+ *      if (!automata.context.user)
+ *          return // veto, the omega status is "vetoed"
+ *      await wait(100) // delay the delta
+ *      let omega = await next({ ...delta, input: { ...delta.input, at: Date.now() } }) // change the delta
+ *      omega.output.seen = true // change the omega
+ *      return omega
+ * })
+ *
+ * A plugin packages middleware and listeners so they can be installed on Appomata or on an automata and
+ * removed again. It's {name, install(target, options), uninstall(target)}, install may return the cleanup
+ * function (or a list of them) that uninstalling calls, like the ones returned by use().
+ */
+
+/**
+ * Chain the given middleware around the last step, returns (context, delta) => promise of the omega
+ * @param {Array} middlewares List of middleware ({...context, delta}, next) => omega
+ * @param {Function} last The step that processes the delta at the end of the chain
+ */
+let compose = (middlewares, last) => (context, delta) => {
+    let index = -1
+    let dispatch = (i, delta) => {
+        assert(i > index, "next() is called more than once by a middleware")
+        index = i
+        let middleware = middlewares[i]
+        if (!middleware)
+            return Promise.resolve(last(delta))
+        return Promise.resolve(middleware({
+            ...context,
+            delta
+        }, (next = delta) => dispatch(i + 1, next)))
+    }
+    return dispatch(0, delta)
+}
+
+/**
+ * Create a plugin registry for one target (Appomata or an automata)
+ * Returns {install(plugin, options), uninstall(name), names()}
+ * @param {Object} target The object plugins are installed on
+ */
+let createPlugins = (target) => {
+    let installed = {}
+    return {
+        install(plugin, options = {}) {
+            assert(plugin && plugin.name && typeof plugin.install === "function", "A plugin needs a name and an install function")
+            assert(!installed[plugin.name], `Plugin ${plugin.name} is already installed`)
+            let cleanup = plugin.install(target, options)
+            installed[plugin.name] = {
+                plugin,
+                cleanup: [].concat(cleanup || []).filter(f => typeof f === "function")
+            }
+            return target
+        },
+        uninstall(name) {
+            let entry = installed[name]
+            if (!entry)
+                return false
+            delete installed[name]
+            entry.cleanup.forEach(f => f())
+            if (entry.plugin.uninstall)
+                entry.plugin.uninstall(target)
+            return true
+        },
+        names: () => Object.keys(installed)
+    }
+}
+
+/**
+ * Plugin that logs every delta and its omega with the time it took
+ * @param {Object} options Contains log, the function to log with, console.log by default
+ */
+let logger = ({
+    log = (...args) => console.log(...args)
+} = {}) => ({
+    name: "logger",
+    install: (target) => target.use(async ({
+        automata,
+        delta
+    }, next) => {
+        let start = Date.now()
+        let omega = await next()
+        log(`${automata.id}: ${delta.action} ${omega ? `${omega.status} -> ${omega.next}` : "vetoed"} (${Date.now() - start}ms)`)
+        return omega
+    })
+})
+
+export {
+    compose,
+    createPlugins,
+    logger
+}
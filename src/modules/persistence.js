@@ -0,0 +1,109 @@
+/**
+ * Persistence of automata snapshots. A snapshot is a versioned JSON object made by Automata.snapshot():
+ * {
+ *      version: 1,
+ *      automata: "upload", // automata name
+ *      id: "upload#1", // automata instance id
+ *      active: ["editor", "editor.mode", "editor.mode.insert"], // active states ids
+ *      context: {},
+ *      buffer: {},
+ *      history: {}, // remembered substates for history states
+ *      time: 0 // automata clock time of the snapshot
+ * }
+ */
+
+const SNAPSHOT_VERSION = 1
+
+/**
+ * Bring an old snapshot up to the current version. Migrations are keyed by the version they
+ * upgrade from, every migration returns the snapshot of the next version.
+ * @param {Object} snapshot Snapshot object
+ * @param {Object} migrations {version: (snapshot) => snapshot of version + 1}
+ */
+let migrate = (snapshot, migrations = {}) => {
+    let version = snapshot.version || 0
+    while (version < SNAPSHOT_VERSION) {
+        if (!migrations[version])
+            throw `There is no migration for snapshot version ${version}`
+        snapshot = {
+            ...migrations[version](snapshot),
+            version: version + 1
+        }
+        version = snapshot.version
+    }
+    if (version > SNAPSHOT_VERSION)
+        throw `Snapshot version ${version} is newer than supported version ${SNAPSHOT_VERSION}`
+    return snapshot
+}
+
+/**
+ * Create a storage adapter on top of a Web Storage (localStorage, sessionStorage), values are kept as JSON
+ * Every adapter has {get(key), set(key, value), remove(key)}
+ * @param {Storage} storage Web storage object
+ */
+let createWebStorage = (storage) => ({
+    get: (key) => {
+        let value = storage.getItem(key)
+        return value === null ? undefined : JSON.parse(value)
+    },
+    set: (key, value) => storage.setItem(key, JSON.stringify(value)),
+    remove: (key) => storage.removeItem(key)
+})
+
+let localStorageAdapter = () => createWebStorage(window.localStorage)
+
+let sessionStorageAdapter = () => createWebStorage(window.sessionStorage)
+
+/**
+ * Storage adapter that keeps snapshots in memory, for tests and server side
+ */
+let memoryStorage = () => {
+    let items = {}
+    return {
+        get: (key) => items[key] === undefined ? undefined : JSON.parse(items[key]),
+        set: (key, value) => items[key] = JSON.stringify(value),
+        remove: (key) => delete items[key]
+    }
+}
+
+/**
+ * Save the automata snapshot to the given storage after every transition and let it be restored later.
+ * Returns {save, restore, clear, stop}, restore() returns false when there is nothing saved.
+ * @param {Automata} automata Automata instance
+ * @param {Object} options Contains:
+ * - storage: Storage adapter, memoryStorage by default
+ * - key: Storage key, the automata id by default
+ * - migrations: Snapshot migrations, see migrate
+ */
+let persist = (automata, {
+    storage = memoryStorage(),
+    key = automata.id,
+    migrations = {}
+} = {}) => {
+    let save = () => storage.set(key, automata.snapshot())
+    let stop = automata.on("afterTransition", () => save())
+    return {
+        save,
+        restore() {
+            let snapshot = storage.get(key)
+            if (snapshot === undefined)
+                return false
+            automata.restore(snapshot, {
+                migrations
+            })
+            return true
+        },
+        clear: () => storage.remove(key),
+        stop
+    }
+}
+
+export {
+    SNAPSHOT_VERSION,
+    migrate,
+    createWebStorage,
+    localStorageAdapter,
+    sessionStorageAdapter,
+    memoryStorage,
+    persist
+}
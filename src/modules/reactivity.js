@@ -0,0 +1,101 @@
+/**
+ * Fine-grained reactivity helpers for the automata context. Context changes are described by change
+ * records {path, type, value, oldValue} where path is dot separated like "cart.items.0" ("" is the whole
+ * context), and readers (watchers, computed values, views) are described by the paths they read.
+ * A change affects a read path when one of them is inside the other.
+ */
+
+let copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+/**
+ * Turn object-observer changes into change records
+ * @param {Array} changes object-observer changes
+ */
+let changeRecords = (changes) => changes.map(change => ({
+    path: change.path.map(String).join("."),
+    type: change.type,
+    value: copy(change.value),
+    oldValue: copy(change.oldValue)
+}))
+
+/**
+ * The path a change record affects. Inserting or deleting a key changes the keys (and the length) of
+ * its parent, so those records affect the parent
+ * @param {Object} record Change record
+ */
+let scopeOf = (record) => record.type === "insert" || record.type === "delete" ?
+    record.path.split(".").slice(0, -1).join(".") : record.path
+
+/**
+ * Normalize a read path, "context." in front of it is optional and "*" means the whole context
+ * @param {String} path Read path
+ */
+let normalizePath = (path = "") => path === "*" || path === "context" ? "" : path.replace(/^context\./, "")
+
+/**
+ * Check if the changed path affects the read path
+ * @param {String} changed Changed path
+ * @param {String} read Read path
+ */
+let overlaps = (changed, read) => changed === "" || read === "" || changed === read ||
+    read.indexOf(`${changed}.`) === 0 || changed.indexOf(`${read}.`) === 0
+
+/**
+ * Check if any of the change records affects any of the read paths
+ * @param {Array} records Change records
+ * @param {Array} reads Read paths
+ */
+let affects = (records, reads) => records.some(record => reads.some(read => overlaps(scopeOf(record), read)))
+
+/**
+ * Value at the given path of an object
+ * @param {Object} object Object
+ * @param {String} path Dot separated path, "" for the object itself
+ */
+let valueAt = (object, path) => path === "" ? object : path.split(".")
+    .reduce((o, key) => o === undefined || o === null ? undefined : o[key], object)
+
+/**
+ * Wrap an object to record the paths read through it, only the deepest paths are kept since reading
+ * "cart.items.length" goes through "cart" and "cart.items"
+ * Returns {proxy, reads()}
+ * @param {Object} target Object to read
+ */
+let createTracker = (target) => {
+    let paths = new Set()
+    let wrap = (object, base) => new Proxy(object, {
+        get(o, key) {
+            let value = o[key]
+            if (typeof key === "symbol" || typeof value === "function")
+                return value
+            let path = base ? `${base}.${key}` : String(key)
+            paths.add(path)
+            return value !== null && typeof value === "object" ? wrap(value, path) : value
+        },
+        has(o, key) {
+            paths.add(base ? `${base}.${String(key)}` : String(key))
+            return key in o
+        },
+        ownKeys(o) {
+            // Listing the keys reads the object itself, its inserted and deleted keys affect it
+            paths.add(base)
+            return Reflect.ownKeys(o)
+        }
+    })
+    return {
+        proxy: wrap(target, ""),
+        reads: () => {
+            let all = Array.from(paths)
+            return all.filter(path => path === "" || !all.some(other => other.indexOf(`${path}.`) === 0))
+        }
+    }
+}
+
+export {
+    changeRecords,
+    normalizePath,
+    overlaps,
+    affects,
+    valueAt,
+    createTracker
+}
@@ -0,0 +1,353 @@
+import Appomata from './Appomata'
+
+/**
+ * URL routing. A router maps URL patterns to automata states and actions both ways:
+ * - When the automata enters the state of a route, the route URL is pushed (or replaced) to the history
+ * - When the URL changes by back/forward navigation or a deep link, the action of the matching route is
+ *   dispatched with the URL params and query as input
+ *
+ * let router = createRouter(automata, {
+ *      history: createBrowserHistory(),
+ *      routes: [
+ *          { path: "/", state: "browse", action: "browse" },
+ *          // input of openProduct is {id: "42", query: {tab: "reviews"}} for /products/42?tab=reviews
+ *          { path: "/products/:id", state: "product", action: "openProduct" },
+ *          // params of the URL are taken from the context instead of the delta input
+ *          { path: "/cart", state: "checkout.cart", action: "openCart", replace: true, params: ({ context }) => ({ query: { coupon: context.coupon } }) }
+ *      ],
+ *      notFound: "notFound"
+ * }).start()
+ *
+ * Patterns support named params ("/products/:id"), optional params ("/search/:term?") and a trailing
+ * wildcard ("/docs/*" makes the "wildcard" param).
+ */
+
+/**
+ * Parse a query string into an object, repeated keys make lists
+ * @param {String} search Query string with or without "?"
+ */
+let parseQuery = (search = "") => {
+    let query = {}
+    search.replace(/^\?/, "").split("&").filter(p => p).forEach(pair => {
+        let [key, ...value] = pair.split("=")
+        key = decodeURIComponent(key.replace(/\+/g, " "))
+        value = decodeURIComponent(value.join("=").replace(/\+/g, " "))
+        query[key] = key in query ? [].concat(query[key], value) : value
+    })
+    return query
+}
+
+/**
+ * Turn an object into a query string with "?", empty when there is nothing to add
+ * @param {Object} query Query object
+ */
+let stringifyQuery = (query = {}) => {
+    let pairs = []
+    Object.entries(query).forEach(([key, value]) => [].concat(value)
+        .filter(v => v !== undefined && v !== null)
+        .forEach(v => pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(v)}`)))
+    return pairs.length ? `?${pairs.join("&")}` : ""
+}
+
+/**
+ * Compile a URL pattern to {match(path), build(params)}, match returns the params or null
+ * @param {String} pattern URL pattern
+ */
+let compilePattern = (pattern) => {
+    let names = []
+    let source = pattern.split("/").map(segment => {
+        if (segment === "*") {
+            names.push("wildcard")
+            return "(?:/(.*))?"
+        }
+        let param = /^:(\w+)(\?)?$/.exec(segment)
+        if (!param)
+            return segment ? `/${segment.replace(/[.+^${}()|[\]\\]/g, "\\$&")}` : ""
+        names.push(param[1])
+        return param[2] ? "(?:/([^/]+))?" : "/([^/]+)"
+    }).join("")
+    let regexp = new RegExp(`^${source || "/"}/?$`)
+    return {
+        match(path) {
+            let result = regexp.exec(path)
+            if (!result)
+                return null
+            let params = {}
+            names.forEach((name, i) => {
+                if (result[i + 1] !== undefined)
+                    params[name] = decodeURIComponent(result[i + 1])
+            })
+            return params
+        },
+        build(params = {}) {
+            let path = pattern.split("/").map(segment => {
+                if (segment === "*")
+                    return params.wildcard === undefined ? undefined : String(params.wildcard)
+                let param = /^:(\w+)(\?)?$/.exec(segment)
+                if (!param)
+                    return segment
+                if (params[param[1]] === undefined) {
+                    if (!param[2])
+                        throw `Param ${param[1]} is missing for route ${pattern}`
+                    return undefined
+                }
+                return encodeURIComponent(params[param[1]])
+            }).filter(s => s !== undefined).join("/")
+            return path || "/"
+        }
+    }
+}
+
+/**
+ * History API backend, URLs are the path and the query of the page
+ * Every backend has {location(), push(url), replace(url), listen(f) => unlisten}, listeners are called
+ * with the new URL on back/forward navigation only, not on push and replace
+ * @param {Window} win Window object
+ */
+let createBrowserHistory = (win = window) => ({
+    location: () => `${win.location.pathname}${win.location.search}`,
+    push: (url) => win.history.pushState(null, "", url),
+    replace: (url) => win.history.replaceState(null, "", url),
+    listen(f) {
+        let listener = () => f(this.location())
+        win.addEventListener("popstate", listener)
+        return () => win.removeEventListener("popstate", listener)
+    }
+})
+
+/**
+ * Hash backend, URLs are kept after "#" so it works without server support
+ * @param {Window} win Window object
+ */
+let createHashHistory = (win = window) => ({
+    location: () => win.location.hash.replace(/^#/, "") || "/",
+    push: (url) => win.history.pushState(null, "", `#${url}`),
+    replace: (url) => win.history.replaceState(null, "", `#${url}`),
+    listen(f) {
+        let listener = () => f(this.location())
+        win.addEventListener("hashchange", listener)
+        return () => win.removeEventListener("hashchange", listener)
+    }
+})
+
+/**
+ * In-memory backend for tests and server side, it has back(), forward() and go(n) to simulate navigation
+ * and entries/index to inspect it
+ * @param {String} initial Initial URL
+ */
+let createMemoryHistory = (initial = "/") => {
+    let listeners = []
+    return {
+        entries: [initial],
+        index: 0,
+        location() {
+            return this.entries[this.index]
+        },
+        push(url) {
+            this.entries = this.entries.slice(0, this.index + 1).concat(url)
+            this.index = this.entries.length - 1
+        },
+        replace(url) {
+            this.entries[this.index] = url
+        },
+        go(n) {
+            let index = Math.max(0, Math.min(this.index + n, this.entries.length - 1))
+            if (index === this.index)
+                return Promise.resolve([])
+            this.index = index
+            return Promise.all(listeners.map(f => f(this.location())))
+        },
+        back() {
+            return this.go(-1)
+        },
+        forward() {
+            return this.go(1)
+        },
+        listen(f) {
+            listeners.push(f)
+            return () => listeners = listeners.filter(l => l !== f)
+        }
+    }
+}
+
+/**
+ * Create a router between the given automata and a history backend, see the top of this module
+ * Returns the router {start, stop, navigate, match, href, sync}
+ * @param {Automata} automata Automata instance
+ * @param {Object} options Contains:
+ * - routes: List of {path, state, action, replace, params}, params({context, delta, omega}) returns the
+ *   URL params (plus "query") of the state, the delta input by default
+ * - history: History backend, createBrowserHistory() by default
+ * - notFound: Action dispatched with {url} when no route matches a URL
+ * - onError: Called with (error, url) when dispatching a URL fails or there is no action for it, the URL
+ *   goes back to the last one of the router. The error is logged by default
+ */
+let createRouter = (automata, {
+    routes = [],
+    history = createBrowserHistory(),
+    notFound,
+    onError = (error, url) => console.error(`Navigation to ${url} failed`, error)
+} = {}) => {
+    routes = routes.map(route => ({
+        ...route,
+        pattern: compilePattern(route.path)
+    }))
+    let stopped = true
+    let unlisten = null
+    let unsync = null
+    let navigating = 0
+    // The last URL written for a state, a rejected navigation goes back to it
+    let last = null
+
+    /**
+     * The route of the deepest active state, the first one wins between routes of the same state
+     */
+    let routeOfState = () => {
+        let candidates = routes.filter(r => r.state && automata.active.some(s => s.id === r.state))
+        return candidates.sort((a, b) => b.state.split(".").length - a.state.split(".").length)[0]
+    }
+
+    let router = {
+        /**
+         * Find the route of the given URL, returns {route, params, query} or null
+         * @param {String} url URL with path and query
+         */
+        match(url) {
+            let [path, search] = url.split("?")
+            for (const route of routes) {
+                let params = route.pattern.match(path)
+                if (params)
+                    return {
+                        route,
+                        params,
+                        query: parseQuery(search)
+                    }
+            }
+            return null
+        },
+        /**
+         * Build the URL of the route with the given path or state
+         * @param {String} name Route path or state
+         * @param {Object} params URL params, "query" is added as the query string
+         */
+        href(name, {
+            query,
+            ...params
+        } = {}) {
+            let route = routes.find(r => r.path === name) || routes.find(r => r.state === name)
+            if (!route)
+                throw `There is no route for ${name}`
+            return route.pattern.build(params) + stringifyQuery(query)
+        },
+        /**
+         * Dispatch the action of the route matching the given URL, the URL is pushed (or replaced) first
+         * Returns the promise of the transition omega, or null when there is no action for the URL or it fails
+         * @param {String} url URL with path and query
+         * @param {Object} options Contains replace to replace the current history entry
+         */
+        navigate(url, {
+            replace = false
+        } = {}) {
+            if (url !== history.location())
+                replace ? history.replace(url) : history.push(url)
+            return dispatch(url)
+        },
+        /**
+         * Write the URL of the current state to the history
+         * @param {Object} transition Transition {delta, omega} the state was entered by
+         * @param {Boolean} replace Replace the current history entry instead of pushing a new one
+         */
+        sync(transition = automata.current(), replace = false) {
+            let route = routeOfState()
+            if (!route)
+                return
+            let params = route.params ? route.params({
+                context: automata.context,
+                ...transition
+            }) : transition.delta && transition.delta.input
+            let url
+            try {
+                url = router.href(route.path, params && typeof params === "object" ? params : {})
+            } catch (e) {
+                // The state was entered without the params of its URL, the URL is left as it is
+                return
+            }
+            last = url
+            if (url === history.location())
+                return
+            replace || route.replace ? history.replace(url) : history.push(url)
+        },
+        /**
+         * Start listening to transitions and navigation, then dispatch the action of the current URL (deep link)
+         */
+        start() {
+            if (!stopped)
+                return this
+            stopped = false
+            // Transitions caused by navigation replace the URL, so they don't add history entries
+            unsync = automata.on("afterTransition", transition => router.sync(transition, navigating > 0))
+            unlisten = history.listen(url => dispatch(url))
+            dispatch(history.location())
+            return this
+        },
+        stop() {
+            stopped = true
+            if (unlisten)
+                unlisten()
+            if (unsync)
+                unsync()
+            unlisten = unsync = null
+        }
+    }
+
+    /**
+     * Go back to the last URL of the router when it isn't the current one
+     */
+    let restore = () => {
+        if (last && last !== history.location())
+            history.replace(last)
+    }
+
+    /**
+     * Dispatch the action of the URL, returns the promise of the omega or null. A URL without an action,
+     * a URL that can't be decoded or a transition that throws is given to onError and the promise resolves to null
+     * @param {String} url URL with path and query
+     */
+    let dispatch = async (url) => {
+        navigating++
+        try {
+            let matched = router.match(url)
+            let action = matched ? matched.route.action : notFound
+            if (!action)
+                throw `There is no action for ${url}`
+            let input = matched ? {
+                ...matched.params,
+                query: matched.query
+            } : {
+                url
+            }
+            let omega = await automata.transit(Appomata.createDelta(action, input))
+            if (omega && omega.status !== "done")
+                restore()
+            return omega
+        } catch (e) {
+            restore()
+            onError(e, url)
+            return null
+        } finally {
+            navigating--
+        }
+    }
+
+    return router
+}
+
+export {
+    parseQuery,
+    stringifyQuery,
+    compilePattern,
+    createBrowserHistory,
+    createHashHistory,
+    createMemoryHistory,
+    createRouter
+}
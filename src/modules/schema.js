@@ -0,0 +1,141 @@
+/**
+ * Input schemas of actions, a subset of JSON Schema:
+ * - type: "string", "number", "integer", "boolean", "object", "array", "null" or a list of them
+ * - enum: List of allowed values
+ * - properties, required and additionalProperties (false to reject unknown fields) for objects
+ * - items, minItems and maxItems for arrays
+ * - minLength, maxLength and pattern for strings, minimum and maximum for numbers
+ *
+ * pay: {
+ *      target: "paid",
+ *      run: "payHandler",
+ *      schema: {
+ *          type: "object",
+ *          required: ["card", "amount"],
+ *          properties: {
+ *              card: { type: "object", required: ["number"], properties: { number: { type: "string", pattern: "^[0-9]{16}$" } } },
+ *              amount: { type: "number", minimum: 1 },
+ *              currency: { enum: ["EUR", "USD"] }
+ *          }
+ *      }
+ * }
+ *
+ * A delta whose input doesn't match is not given to the action, its omega.status is "invalid" and
+ * omega.output.fields maps every failing field path (like "card.number") to its message.
+ */
+
+let typeOf = (value) => {
+    if (value === null)
+        return "null"
+    if (Array.isArray(value))
+        return "array"
+    return typeof value
+}
+
+let hasType = (value, type) => type === "integer" ? Number.isInteger(value) :
+    type === "number" ? typeof value === "number" && !isNaN(value) : typeOf(value) === type
+
+let join = (path, key) => path ? `${path}.${key}` : String(key)
+
+/**
+ * Validate a value against a schema. Returns the list of errors {path, keyword, message}, empty when it's valid
+ * @param {Object} schema Schema
+ * @param {*} value Value to validate
+ * @param {String} path Path of the value, "" for the root
+ */
+let validateSchema = (schema = {}, value, path = "") => {
+    let errors = []
+    let fail = (keyword, message, at = path) => errors.push({
+        path: at,
+        keyword,
+        message
+    })
+
+    if (schema.type !== undefined) {
+        let types = [].concat(schema.type)
+        if (!types.some(type => hasType(value, type))) {
+            fail("type", value === undefined ? "is required" : `must be ${types.join(" or ")}`)
+            return errors
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value)))
+        fail("enum", `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`)
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength)
+            fail("minLength", `must have at least ${schema.minLength} characters`)
+        if (schema.maxLength !== undefined && value.length > schema.maxLength)
+            fail("maxLength", `must have at most ${schema.maxLength} characters`)
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+            fail("pattern", `must match ${schema.pattern}`)
+    }
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum)
+            fail("minimum", `must be at least ${schema.minimum}`)
+        if (schema.maximum !== undefined && value > schema.maximum)
+            fail("maximum", `must be at most ${schema.maximum}`)
+    }
+    if (typeOf(value) === "object") {
+        let properties = schema.properties || {}
+        let required = schema.required || []
+        required.filter(key => value[key] === undefined)
+            .forEach(key => fail("required", "is required", join(path, key)))
+        Object.entries(properties).filter(([key]) => value[key] !== undefined)
+            .forEach(([key, property]) => errors.push(...validateSchema(property, value[key], join(path, key))))
+        if (schema.additionalProperties === false)
+            Object.keys(value).filter(key => !properties[key])
+            .forEach(key => fail("additionalProperties", "is not allowed", join(path, key)))
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems)
+            fail("minItems", `must have at least ${schema.minItems} items`)
+        if (schema.maxItems !== undefined && value.length > schema.maxItems)
+            fail("maxItems", `must have at most ${schema.maxItems} items`)
+        if (schema.items)
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, join(path, i))))
+    }
+    return errors
+}
+
+/**
+ * Map validation errors to {path: message}, the first error of every path wins
+ * @param {Array} errors Validation errors
+ */
+let fieldErrors = (errors) => errors.reduce((fields, error) => {
+    if (fields[error.path] === undefined)
+        fields[error.path] = error.message
+    return fields
+}, {})
+
+/**
+ * The simplest value that matches a schema, like the input samples of generated test plans
+ * @param {Object} schema Schema
+ */
+let exampleOf = (schema = {}) => {
+    if (schema.enum)
+        return schema.enum[0]
+    let type = [].concat(schema.type)[0]
+    if (type === "object" || (type === undefined && schema.properties)) {
+        let example = {}
+        let required = schema.required || []
+        required.forEach(key => example[key] = exampleOf((schema.properties || {})[key]))
+        return example
+    }
+    if (type === "array")
+        return Array.from({
+            length: schema.minItems || 0
+        }, () => exampleOf(schema.items))
+    if (type === "string")
+        return "x".repeat(schema.minLength || 0)
+    if (type === "number" || type === "integer")
+        return schema.minimum !== undefined ? schema.minimum : 0
+    if (type === "boolean")
+        return false
+    return null
+}
+
+export {
+    validateSchema,
+    fieldErrors,
+    exampleOf
+}
@@ -0,0 +1,314 @@
+import Appomata from './Appomata'
+import {
+    resolveTarget
+} from './definition'
+
+/**
+ * SCXML import and export. The supported subset is:
+ * - <scxml name initial> with <datamodel><data id expr/></datamodel>, expr is JSON and becomes the context
+ * - <state id initial>, <parallel id>, <final id>, <history id type> and <initial><transition target/></initial>
+ * - <transition event target cond/>, cond is the name of a guard in the guards registry and events named
+ *   "after(3000)" become delayed transitions
+ * - empty <onentry/> and <onexit/>
+ * Actions are bound by name to a handler registry: a transition runs handlers["stateId.event"] or handlers["event"],
+ * onentry and onexit run handlers["stateId.onEntry"] and handlers["stateId.onExit"]. Any other element
+ * (executable content, invoke, ...) is reported as unsupported. Intervals and views have no SCXML
+ * counterpart, so they are not exported.
+ */
+
+const SCXML_NAMESPACE = "http://www.w3.org/2005/07/scxml"
+
+let escape = (text) => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+let unescape = (text) => text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, "&")
+
+/**
+ * A small XML parser that is enough for SCXML documents, it works the same in browsers and Node
+ * Returns the root element {name, attributes, children, text}, namespace prefixes are dropped from names
+ * @param {String} xml XML text
+ */
+let parseXML = (xml) => {
+    let root = {
+        name: "#document",
+        attributes: {},
+        children: [],
+        text: ""
+    }
+    let stack = [root]
+    let pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+    let localName = (name) => name.split(":").pop()
+    let match
+    while ((match = pattern.exec(xml))) {
+        let [, cdata, closing, opening, attributes, selfClosing, text] = match
+        let parent = stack[stack.length - 1]
+        if (cdata !== undefined)
+            parent.text += cdata
+        else if (text !== undefined)
+            parent.text += unescape(text)
+        else if (closing) {
+            if (stack.length < 2 || parent.name !== localName(closing))
+                throw `Unexpected closing tag </${closing}>`
+            stack.pop()
+        } else if (opening) {
+            let element = {
+                name: localName(opening),
+                attributes: {},
+                children: [],
+                text: ""
+            }
+            let attribute = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+            let a
+            while ((a = attribute.exec(attributes)))
+                element.attributes[a[1]] = unescape(a[2] !== undefined ? a[2] : a[3])
+            parent.children.push(element)
+            if (!selfClosing)
+                stack.push(element)
+        }
+    }
+    if (stack.length > 1)
+        throw `Tag <${stack[stack.length - 1].name}> is not closed`
+    return root.children[0]
+}
+
+/**
+ * Turn an automata into an SCXML document. The built-in "failed" state is not exported, it's created
+ * again when the document is imported.
+ * @param {Automata} automata Automata instance
+ */
+let toSCXML = (automata) => {
+    let lines = ['<?xml version="1.0" encoding="UTF-8"?>']
+    let attributes = (attrs) => Object.entries(attrs)
+        .filter(([key, value]) => value !== undefined && value !== "")
+        .map(([key, value]) => ` ${key}="${escape(value)}"`).join("")
+    let has = (id) => !!automata.states[id]
+    let guardName = (guard) => typeof guard === "string" ? guard : guard.name || "guard"
+
+    let transitions = (state, indent) => {
+        Object.values(state.actions).forEach(action => action.transitions.forEach(transition => {
+            let targets = transition.targets.map(t => resolveTarget(t, state.id, has) || t)
+            lines.push(`${indent}<transition${attributes({
+                event: action.name,
+                target: targets.join(" "),
+                cond: transition.guard && guardName(transition.guard)
+            })}/>`)
+        }))
+    }
+    let walk = (state, indent) => {
+        if (state.history) {
+            let target = state.target !== undefined ? resolveTarget(state.target, state.id, has) : undefined
+            if (target === undefined)
+                return lines.push(`${indent}<history${attributes({ id: state.id, type: state.history })}/>`)
+            lines.push(`${indent}<history${attributes({ id: state.id, type: state.history })}>`)
+            lines.push(`${indent}    <transition${attributes({ target })}/>`)
+            return lines.push(`${indent}</history>`)
+        }
+        let tag = state.parallel ? "parallel" : state.final && !state.isCompound ? "final" : "state"
+        let attrs = {
+            id: state.id,
+            initial: state.isCompound && !state.parallel ? state.initialChild.id : undefined
+        }
+        let empty = !state.onEntry && !state.onExit && !Object.keys(state.actions).length && !Object.keys(state.children).length
+        if (empty)
+            return lines.push(`${indent}<${tag}${attributes(attrs)}/>`)
+        lines.push(`${indent}<${tag}${attributes(attrs)}>`)
+        if (state.onEntry)
+            lines.push(`${indent}    <onentry/>`)
+        if (state.onExit)
+            lines.push(`${indent}    <onexit/>`)
+        transitions(state, `${indent}    `)
+        Object.values(state.children).forEach(child => walk(child, `${indent}    `))
+        lines.push(`${indent}</${tag}>`)
+    }
+
+    lines.push(`<scxml${attributes({
+        xmlns: SCXML_NAMESPACE,
+        version: "1.0",
+        name: automata.name,
+        initial: automata.initialState,
+        datamodel: "ecmascript"
+    })}>`)
+    let context = JSON.parse(JSON.stringify(automata.context))
+    if (Object.keys(context).length) {
+        lines.push("    <datamodel>")
+        Object.entries(context).forEach(([id, value]) => lines.push(`        <data${attributes({ id, expr: JSON.stringify(value) })}/>`))
+        lines.push("    </datamodel>")
+    }
+    Object.values(automata.states)
+        .filter(s => !s.parent && s.name !== "failed")
+        .forEach(state => walk(state, "    "))
+    lines.push("</scxml>")
+    return lines.join("\n")
+}
+
+/**
+ * Build a runnable automata from an SCXML document, see the top of this module for the supported subset
+ * @param {String} xml SCXML text
+ * @param {Object} options Contains:
+ * - name: Automata name when the document has no name
+ * - handlers: {} Action and entry/exit functions by name
+ * - guards: {} Guard functions by name, referenced in cond attributes
+ * - views: {} Views for Appomata.load
+ * - clock: Clock of delayed transitions
+ */
+let fromSCXML = (xml, {
+    name,
+    handlers = {},
+    guards = {},
+    views = {},
+    clock
+} = {}) => {
+    let root = parseXML(xml)
+    if (!root || root.name !== "scxml")
+        throw "Given document is not an SCXML document"
+    let stateTags = ["state", "parallel", "final", "history"]
+    let unsupported = (element, parent) => {
+        throw `Unsupported SCXML element <${element.name}> in <${parent.name}${parent.attributes.id ? ` id="${parent.attributes.id}"` : ""}>`
+    }
+
+    // SCXML ids are global, so every state gets its name from its id and the SCXML ids are mapped to Appomata paths
+    let paths = {}
+    let counter = 0
+    let collect = (element, parent) => {
+        element.children.filter(c => stateTags.includes(c.name)).forEach(child => {
+            let id = child.attributes.id || `state${++counter}`
+            child.attributes.id = id
+            let name = parent && id.indexOf(`${parent}.`) === 0 ? id.slice(parent.length + 1) : id
+            let path = parent ? `${parent}.${name}` : name
+            if (paths[id])
+                throw `SCXML state id (${id}) is used more than once`
+            paths[id] = path
+            child.name === "history" || collect(child, path)
+        })
+    }
+    collect(root, "")
+    let pathOf = (id, where) => {
+        if (!paths[id])
+            throw `Unknown SCXML target (${id}) in ${where}`
+        return paths[id]
+    }
+    let guardOf = (cond) => {
+        if (!guards[cond])
+            throw `There is no guard named ${cond}`
+        return guards[cond]
+    }
+    let hookOf = (id, hook, element) => {
+        element.children.forEach(c => unsupported(c, element))
+        if (!handlers[`${id}.${hook}`])
+            throw `There is no handler named ${id}.${hook}`
+        return handlers[`${id}.${hook}`]
+    }
+
+    let build = (element, parentPath) => {
+        let id = element.attributes.id
+        let path = paths[id]
+        let state = {
+            name: parentPath ? path.slice(parentPath.length + 1) : path,
+            actions: {},
+            after: [],
+            states: []
+        }
+        if (element.name === "parallel")
+            state.parallel = true
+        if (element.name === "final")
+            state.final = true
+        if (element.name === "history") {
+            state.history = element.attributes.type || "shallow"
+            element.children.forEach(child => {
+                if (child.name !== "transition")
+                    unsupported(child, element)
+                state.target = pathOf(child.attributes.target, `history ${id}`)
+            })
+            return state
+        }
+        if (element.attributes.initial)
+            state.initial = pathOf(element.attributes.initial, `state ${id}`).slice(path.length + 1)
+
+        element.children.forEach(child => {
+            if (stateTags.includes(child.name))
+                return state.states.push(build(child, path))
+            if (child.name === "onentry")
+                return state.onEntry = hookOf(path, "onEntry", child)
+            if (child.name === "onexit")
+                return state.onExit = hookOf(path, "onExit", child)
+            if (child.name === "initial") {
+                let transition = child.children[0]
+                if (!transition || transition.name !== "transition")
+                    unsupported(transition || child, child)
+                return state.initial = pathOf(transition.attributes.target, `initial of ${id}`).slice(path.length + 1)
+            }
+            if (child.name !== "transition")
+                return unsupported(child, element)
+
+            child.children.forEach(c => unsupported(c, child))
+            let event = child.attributes.event
+            if (!event)
+                throw `Eventless transitions are not supported (state ${id})`
+            let targets = (child.attributes.target || "").split(/\s+/).filter(t => t)
+            if (targets.length > 1)
+                throw `Transitions with more than one target are not supported (state ${id}, event ${event})`
+            let transition = {
+                targets: targets.map(t => pathOf(t, `state ${id}`)),
+                guard: child.attributes.cond ? guardOf(child.attributes.cond) : undefined,
+                run: handlers[`${path}.${event}`] || handlers[`${id}.${event}`] || handlers[event]
+            }
+            let delay = /^after\((\d+)\)$/.exec(event)
+            if (delay)
+                state.after.push({
+                    delay: Number(delay[1]),
+                    ...transition
+                })
+            else
+                state.actions[event] = (state.actions[event] || []).concat(transition)
+        })
+        return state
+    }
+
+    let context = {}
+    let states = []
+    root.children.forEach(child => {
+        if (child.name === "datamodel")
+            return child.children.forEach(data => {
+                if (data.name !== "data" || data.attributes.src)
+                    unsupported(data, child)
+                try {
+                    context[data.attributes.id] = data.attributes.expr === undefined ? undefined : JSON.parse(data.attributes.expr)
+                } catch (e) {
+                    throw `Data (${data.attributes.id}) expr is not JSON`
+                }
+            })
+        if (stateTags.includes(child.name))
+            return states.push(build(child, ""))
+        unsupported(child, root)
+    })
+    // The built-in failed state is created by Appomata
+    states = states.filter(s => s.name !== "failed")
+
+    let first = states.find(s => !s.history)
+    return Appomata.load({
+        name: root.attributes.name || name,
+        initial: root.attributes.initial ? pathOf(root.attributes.initial, "scxml") : first && first.name,
+        context,
+        states
+    }, {
+        handlers,
+        guards,
+        views,
+        clock
+    })
+}
+
+export {
+    parseXML,
+    toSCXML,
+    fromSCXML
+}
@@ -0,0 +1,97 @@
+import Appomata from './Appomata'
+import {
+    renderToString
+} from './html'
+
+/**
+ * Server side rendering. On the server the automatas are run to their initial state, the app views are
+ * rendered to HTML and the automata snapshots are embedded in the page. On the client hydrate() restores
+ * the automatas from the embedded snapshots and App.run() adopts the rendered markup:
+ *
+ * // server
+ * let {html, script} = await renderApp(app, automata)
+ * response.end(`<div id="root">${html}</div>${script}`)
+ *
+ * // client
+ * let [automata] = hydrate()
+ * app.run(automata, document.getElementById("root"))
+ */
+
+const STATE_ELEMENT_ID = "appomata-state"
+
+/**
+ * Run the automatas to their initial state and render the app to HTML. The first automata is the one
+ * whose views are rendered, the snapshots of all of them are embedded.
+ * Returns a promise of {html, snapshots, script}, script is the tag that carries the snapshots
+ * @param {App} app App instance
+ * @param {Automata|Array} automatas Automata instance or list of them
+ * @param {Object} options Contains:
+ * - action: Action that brings the automata to its initial view, "init" by default like App.run
+ * - input: Input of the action
+ * - id: Id of the script element of the snapshots
+ */
+let renderApp = async (app, automatas, {
+    action = "init",
+    input = {},
+    id = STATE_ELEMENT_ID
+} = {}) => {
+    automatas = Array.isArray(automatas) ? automatas : [automatas]
+    let automata = automatas[0]
+    let transition = automata.restored ? automata.current() : {
+        automata: automata.id,
+        delta: Appomata.createDelta(action, input),
+        omega: null
+    }
+    if (!automata.restored)
+        transition.omega = await automata.transit(transition.delta)
+    await Promise.all(automatas.map(a => a.settle()))
+
+    let snapshots = automatas.map(a => a.snapshot())
+    return {
+        html: renderToString(app.renderTree(transition)),
+        snapshots,
+        script: stateScript(snapshots, id)
+    }
+}
+
+/**
+ * Script tag that carries the given snapshots as JSON, "<" is escaped so the JSON can't close the tag
+ * @param {Array} snapshots Automata snapshots
+ * @param {String} id Id of the script element
+ */
+let stateScript = (snapshots, id = STATE_ELEMENT_ID) =>
+    `<script type="application/json" id="${id}">${JSON.stringify(snapshots).replace(/</g, "\\u003c")}</script>`
+
+/**
+ * Restore the automatas from the snapshots embedded by renderApp, every snapshot is restored into the
+ * registered automata with the same id. Returns the list of restored automatas.
+ * @param {Object} options Contains:
+ * - id: Id of the script element of the snapshots
+ * - document: Document that contains the script element
+ * - migrations: Snapshot migrations, see persistence.js
+ */
+let hydrate = ({
+    id = STATE_ELEMENT_ID,
+    document = window.document,
+    migrations = {}
+} = {}) => {
+    let element = document.getElementById(id)
+    if (!element)
+        throw `There is no rendered state with id ${id}`
+    return JSON.parse(element.textContent).map(snapshot => {
+        let automata = Appomata.getAutomata(snapshot.id)
+        if (!automata)
+            throw `There is no automata with id ${snapshot.id} to hydrate`
+        automata.restore(snapshot, {
+            migrations
+        })
+        return automata
+    })
+}
+
+export {
+    STATE_ELEMENT_ID,
+    renderApp,
+    stateScript,
+    hydrate
+}
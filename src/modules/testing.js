@@ -0,0 +1,334 @@
+import Appomata from './Appomata'
+import {
+    createManualClock
+} from './clock'
+import {
+    exampleOf
+} from './schema'
+
+/**
+ * Model-based test generation. An automata is a finite graph of states and actions, so the shortest
+ * way to every state and every transition can be found by walking its configurations (the sets of
+ * active states) from the initial one. Those paths become test plans, lists of {action, input} deltas,
+ * that are run headlessly against fresh instances of the automata to report the state and transition coverage.
+ * The model only knows declared targets: guards are assumed to pass (input samples must make them pass),
+ * actions without targets are internal and a history state leads to its default target.
+ */
+
+/**
+ * Declared transitions of every state, every one is {id, source, action, index, target}, target is
+ * undefined for internal actions and the transitions to unknown targets are left out
+ * @param {Automata} automata Automata instance
+ */
+let transitionsOf = (automata) => {
+    let transitions = []
+    Object.values(automata.states).filter(s => !s.history).forEach(source => Object.values(source.actions).forEach(action => {
+        action.transitions.forEach((transition, index) => {
+            let targets = transition.targets.length ? transition.targets : [undefined]
+            targets.forEach(name => {
+                let target = name === undefined ? undefined : automata._resolve(name, source)
+                if (name === undefined || target)
+                    transitions.push({
+                        id: `${source.id}.${action.name}[${index}]` + (target ? ` -> ${target.id}` : ""),
+                        source: source.id,
+                        action: action.name,
+                        index,
+                        target: target ? target.id : undefined
+                    })
+            })
+        })
+    }))
+    return transitions
+}
+
+/**
+ * Walk the configurations of an automata breadth first and return the shortest steps to every
+ * configuration and to every reachable transition. Every step is {action, source, transition, target}.
+ * @param {Automata} automata Automata instance
+ */
+let modelOf = (automata) => {
+    let key = (active) => active.map(s => s.id).join(",")
+    let start = automata._entrySet([automata.states[automata.initialState]], null)
+    let configurations = {
+        [key(start)]: {
+            active: start,
+            steps: []
+        }
+    }
+    let transitions = transitionsOf(automata)
+    let firstSteps = {}
+    let queue = [start]
+
+    let recall = (history) => history.target !== undefined ? automata._resolve(history.target, history) :
+        history.parent ? history.parent.initialChild : automata.states[automata.initialState]
+    let move = (active, source, target) => {
+        let domain = source.parent
+        while (domain && (domain.parallel || !target.isDescendantOf(domain)))
+            domain = domain.parent
+        let exits = active.filter(s => !domain || s.isDescendantOf(domain))
+        let entries = automata._entrySet([target.history ? recall(target) : target], domain)
+        return automata._ordered(active.filter(s => !exits.includes(s)).concat(entries))
+    }
+
+    while (queue.length) {
+        let active = queue.shift()
+        let {
+            steps
+        } = configurations[key(active)]
+        let ids = active.map(s => s.id)
+        transitions.filter(t => ids.includes(t.source)).forEach(transition => {
+            let source = automata.states[transition.source]
+            let target = transition.target === undefined ? undefined : automata._resolve(transition.target, source)
+            let step = {
+                action: transition.action,
+                source: transition.source,
+                transition: transition.id,
+                target: target && !target.history ? target.id : undefined
+            }
+            if (!firstSteps[transition.id])
+                firstSteps[transition.id] = steps.concat(step)
+            let next = target ? move(active, source, target) : active
+            if (!configurations[key(next)]) {
+                configurations[key(next)] = {
+                    active: next,
+                    steps: steps.concat(step)
+                }
+                queue.push(next)
+            }
+        })
+    }
+    return {
+        configurations: Object.values(configurations),
+        transitions,
+        firstSteps
+    }
+}
+
+/**
+ * States that are counted by the coverage, history pseudo-states and the built-in failed state are left out
+ * @param {Automata} automata Automata instance
+ * @param {Array} exclude Ids of states to leave out
+ */
+let statesOf = (automata, exclude) => Object.values(automata.states)
+    .filter(s => !s.history && !exclude.includes(s.id) && !exclude.some(id => automata.states[id] && s.isDescendantOf(automata.states[id])))
+    .map(s => s.id)
+
+/**
+ * Shortest steps from the initial state to every state and every transition of the automata.
+ * Returns {states: {id: steps}, transitions: {id: steps}, unreachable: [state ids]}, the steps to a
+ * transition end with that transition and the transitions of unreachable states are left out.
+ * @param {Automata} automata Automata instance
+ * @param {Object} options Contains:
+ * - exclude: Ids of states to leave out, ["failed"] by default
+ */
+let shortestPaths = (automata, {
+    exclude = ["failed"]
+} = {}) => {
+    let {
+        configurations,
+        transitions,
+        firstSteps
+    } = modelOf(automata)
+    let states = {}
+    configurations.forEach(({
+        active,
+        steps
+    }) => active.forEach(s => {
+        if (!states[s.id] || states[s.id].length > steps.length)
+            states[s.id] = steps
+    }))
+    let ids = statesOf(automata, exclude)
+    let paths = {
+        states: {},
+        transitions: {},
+        unreachable: ids.filter(id => !states[id])
+    }
+    ids.filter(id => states[id]).forEach(id => paths.states[id] = states[id])
+    transitions.filter(t => ids.includes(t.source) && firstSteps[t.id]).forEach(t => paths.transitions[t.id] = firstSteps[t.id])
+    return paths
+}
+
+/**
+ * Pick the input sample of a step. Samples are looked up by "source.action" then by action name, a sample
+ * is the input itself, a list of inputs (one per candidate transition of the action, the last one is reused)
+ * or a function that receives the step and returns the input. Without a sample the input is the simplest
+ * value of the action schema (see schema.js), or {} when the action has no schema.
+ * @param {Object} inputs Input samples
+ * @param {Object} step Step {action, source, transition, target}
+ * @param {Object} transition Transition of the step
+ * @param {Object} schema Input schema of the action
+ */
+let sampleOf = (inputs, step, transition, schema) => {
+    let sample = inputs[`${step.source}.${step.action}`]
+    if (sample === undefined)
+        sample = inputs[step.action]
+    if (typeof sample === "function")
+        return sample({
+            ...step,
+            index: transition.index
+        })
+    if (Array.isArray(sample))
+        return sample[Math.min(transition.index, sample.length - 1)]
+    if (sample === undefined)
+        return schema ? exampleOf(schema) : {}
+    return sample
+}
+
+/**
+ * Generate test plans that cover every transition (or every state) of the automata with the shortest plans.
+ * A plan that is the beginning of another plan is merged into it. Every plan is
+ * {name, covers, steps}, covers lists the transition or state ids it's made for and every step is
+ * {action, input, transition, expect}, expect is the id of the state that must be active after the step.
+ * @param {Automata} automata Automata instance
+ * @param {Object} options Contains:
+ * - inputs: Input samples, see sampleOf
+ * - cover: "transitions" (default) or "states"
+ * - exclude: Ids of states to leave out, ["failed"] by default
+ */
+let generatePlans = (automata, {
+    inputs = {},
+    cover = "transitions",
+    exclude = ["failed"]
+} = {}) => {
+    let paths = shortestPaths(automata, {
+        exclude
+    })
+    let byId = {}
+    transitionsOf(automata).forEach(t => byId[t.id] = t)
+
+    let plans = Object.entries(cover === "states" ? paths.states : paths.transitions).map(([id, steps]) => ({
+        name: cover === "states" ? `reach ${id}` : `take ${id}`,
+        covers: [id],
+        steps: steps.map(step => ({
+            action: step.action,
+            input: sampleOf(inputs, step, byId[step.transition], automata.states[step.source].actions[step.action].schema),
+            transition: step.transition,
+            expect: step.target
+        }))
+    })).sort((a, b) => b.steps.length - a.steps.length)
+
+    let signature = (steps) => steps.map(s => JSON.stringify([s.action, s.input, s.transition]))
+    let merged = []
+    plans.forEach(plan => {
+        let steps = signature(plan.steps)
+        let longer = merged.find(m => signature(m.steps.slice(0, steps.length)).join() === steps.join())
+        if (longer)
+            longer.covers.push(...plan.covers)
+        else
+            merged.push(plan)
+    })
+    return merged
+}
+
+/**
+ * Run test plans headlessly, every plan runs against a fresh instance of the automata with a manual
+ * clock, so delayed transitions and intervals only happen when a plan step asks for them.
+ * Returns a promise of the report:
+ * {
+ *      passed: Boolean,
+ *      plans: [{name, passed, steps: [{action, input, status, next, expect, ok}], error}],
+ *      coverage: {states: {covered, total, ratio}, transitions: {covered, total, ratio}},
+ *      visited: [state ids],
+ *      taken: [transition ids],
+ *      unreached: [state ids never active during the run],
+ *      untaken: [transition ids never taken during the run]
+ * }
+ * @param {Automata} automata Automata instance
+ * @param {Array} plans Test plans made by generatePlans
+ * @param {Object} options Contains:
+ * - exclude: Ids of states to leave out, ["failed"] by default
+ */
+let runPlans = async (automata, plans, {
+    exclude = ["failed"]
+} = {}) => {
+    let states = statesOf(automata, exclude)
+    let transitions = transitionsOf(automata).filter(t => states.includes(t.source))
+    let visited = new Set()
+    let taken = new Set()
+    let visit = (instance) => instance.active.forEach(s => states.includes(s.id) && visited.add(s.id))
+    let counter = 0
+
+    let results = []
+    for (const plan of plans) {
+        let instance = automata.spawn({
+            id: `${automata.id}#test${++counter}`,
+            clock: createManualClock()
+        })
+        let result = {
+            name: plan.name,
+            passed: true,
+            steps: []
+        }
+        visit(instance)
+        try {
+            for (const step of plan.steps) {
+                let before = instance.active.map(s => s.id)
+                let omega = await instance.transit(Appomata.createDelta(step.action, step.input))
+                let after = instance.active.map(s => s.id)
+                let ok = omega.status === "done" && (step.expect === undefined || after.includes(step.expect))
+                if (omega.status === "done") {
+                    // The planned transition is preferred when several candidates fit what happened
+                    let leadsTo = (id) => after.includes(id) || !automata.states[id] || automata.states[id].history
+                    let fits = (t) => t.action === step.action && before.includes(t.source) &&
+                        (t.target === undefined ? before.join() === after.join() : leadsTo(t.target))
+                    let transition = [transitions.find(t => t.id === step.transition)].concat(transitions).find(t => t && fits(t))
+                    if (transition)
+                        taken.add(transition.id)
+                }
+                visit(instance)
+                result.steps.push({
+                    action: step.action,
+                    input: step.input,
+                    status: omega.status,
+                    next: omega.next,
+                    expect: step.expect,
+                    ok
+                })
+                if (!ok) {
+                    result.passed = false
+                    break
+                }
+            }
+        } catch (e) {
+            result.passed = false
+            result.error = e && e.message || e
+        }
+        results.push(result)
+    }
+
+    let ratio = (covered, total) => total ? covered / total : 1
+    return {
+        passed: results.every(r => r.passed),
+        plans: results,
+        coverage: {
+            states: {
+                covered: visited.size,
+                total: states.length,
+                ratio: ratio(visited.size, states.length)
+            },
+            transitions: {
+                covered: taken.size,
+                total: transitions.length,
+                ratio: ratio(taken.size, transitions.length)
+            }
+        },
+        visited: states.filter(id => visited.has(id)),
+        taken: transitions.filter(t => taken.has(t.id)).map(t => t.id),
+        unreached: states.filter(id => !visited.has(id)),
+        untaken: transitions.filter(t => !taken.has(t.id)).map(t => t.id)
+    }
+}
+
+/**
+ * Generate test plans for the automata and run them, see generatePlans and runPlans for the options
+ * @param {Automata} automata Automata instance
+ * @param {Object} options Options of generatePlans and runPlans
+ */
+let testAutomata = (automata, options = {}) => runPlans(automata, generatePlans(automata, options), options)
+
+export {
+    shortestPaths,
+    generatePlans,
+    runPlans,
+    testAutomata
+}